@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { quoteIdentifier, encodeValue, decodeValue } = require('./utils');
+
+const ARCHIVE_FORMAT = 'emergencyrestore-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const OBJECTS_FILE = 'objects.json';
+
+// The driver hands these types back as JS numbers or millisecond Dates, so they are
+// also selected as text to keep every digit of precision in the archive.
+const EXACT_TEXT_TYPES = {
+    decimal: { tag: '$decimal', convert: column => `CONVERT(VARCHAR(64), ${column})` },
+    numeric: { tag: '$decimal', convert: column => `CONVERT(VARCHAR(64), ${column})` },
+    money: { tag: '$decimal', convert: column => `CONVERT(VARCHAR(64), ${column}, 2)` },
+    smallmoney: { tag: '$decimal', convert: column => `CONVERT(VARCHAR(64), ${column}, 2)` },
+    datetime2: { tag: '$datetime', convert: column => `CONVERT(VARCHAR(40), ${column})` },
+    datetimeoffset: { tag: '$datetime', convert: column => `CONVERT(VARCHAR(40), ${column})` },
+    time: { tag: '$datetime', convert: column => `CONVERT(VARCHAR(40), ${column})` }
+};
+
+function getTableFiles(tableName) {
+    const fileName = encodeURIComponent(tableName);
+    return {
+        schemaFile: `schema/${fileName}.json`,
+        dataFile: `data/${fileName}.ndjson.gz`
+    };
+}
+
+function getExactColumns(columns) {
+    return columns
+        .map((col, i) => ({ col, conversion: EXACT_TEXT_TYPES[col.DATA_TYPE.toLowerCase()], alias: `__exact${i}` }))
+        .filter(({ conversion }) => conversion)
+        .map(({ col, conversion, alias }) => ({
+            name: col.COLUMN_NAME,
+            alias,
+            tag: conversion.tag,
+            select: `${conversion.convert(quoteIdentifier(col.COLUMN_NAME))} AS ${quoteIdentifier(alias)}`
+        }));
+}
+
+function getDecimalTextColumns(columns) {
+    return columns
+        .filter(col => (EXACT_TEXT_TYPES[col.DATA_TYPE.toLowerCase()] || {}).tag === '$decimal')
+        .map(col => col.COLUMN_NAME);
+}
+
+function encodeArchiveRow(row, columns, exactColumns) {
+    const record = {};
+    
+    for (const col of columns) {
+        record[col.COLUMN_NAME] = encodeValue(row[col.COLUMN_NAME]);
+    }
+    
+    for (const exact of exactColumns) {
+        if (row[exact.alias] !== null && row[exact.alias] !== undefined) {
+            record[exact.name] = { [exact.tag]: row[exact.alias] };
+        }
+    }
+    
+    return record;
+}
+
+function parseExactDateTime(text) {
+    const match = /^(?:(\d{4})-(\d{2})-(\d{2})\s*)?(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?\s*(?:([+-])(\d{2}):(\d{2}))?$/.exec(text.trim());
+    if (!match) {
+        return new Date(text);
+    }
+    
+    const [, year = '1970', month = '01', day = '01', hours, minutes, seconds, fraction = '', sign, offsetHours, offsetMinutes] = match;
+    const digits = fraction.padEnd(7, '0').slice(0, 7);
+    
+    const date = new Date(0);
+    date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+    date.setUTCHours(Number(hours), Number(minutes), Number(seconds), Number(digits.slice(0, 3)));
+    if (sign) {
+        const offset = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+        date.setTime(date.getTime() - (sign === '+' ? offset : -offset));
+    }
+    
+    // The driver adds nanosecondDelta on top of the millisecond Date for datetime2, datetimeoffset and time
+    date.nanosecondDelta = Number(digits.slice(3)) / 1e7;
+    return date;
+}
+
+function decodeArchiveValue(value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$decimal === 'string') {
+            return value.$decimal;
+        }
+        if (typeof value.$datetime === 'string') {
+            return parseExactDateTime(value.$datetime);
+        }
+    }
+    return decodeValue(value);
+}
+
+function decodeArchiveRecord(record, columns) {
+    const row = {};
+    for (const col of columns) {
+        row[col.COLUMN_NAME] = record[col.COLUMN_NAME] === undefined ? null : decodeArchiveValue(record[col.COLUMN_NAME]);
+    }
+    return row;
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function writeJsonFile(filePath, data) {
+    const content = JSON.stringify(data, null, 2);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+    return hashContent(content);
+}
+
+function createDataWriter(filePath) {
+    const gzip = zlib.createGzip();
+    const hash = crypto.createHash('sha256');
+    const finished = pipeline(gzip, fs.createWriteStream(filePath));
+    finished.catch(() => {});
+    let rows = 0;
+    
+    return {
+        async write(record) {
+            const line = `${JSON.stringify(record)}\n`;
+            hash.update(line);
+            rows++;
+            
+            // A failed file stream never drains the gzip stream, so wait on the pipeline as well to surface the error
+            if (!gzip.write(line)) {
+                await Promise.race([once(gzip, 'drain'), finished]);
+            }
+        },
+        
+        async close() {
+            gzip.end();
+            await finished;
+            return { rows, sha256: hash.digest('hex'), bytes: fs.statSync(filePath).size };
+        }
+    };
+}
+
+function resolveArchiveFile(archivePath, relativePath) {
+    return path.join(archivePath, ...relativePath.split('/'));
+}
+
+function readJsonFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return { data: JSON.parse(content), sha256: hashContent(content) };
+}
+
+async function readDataFile(filePath, onRecord = null) {
+    const input = zlib.createGunzip();
+    const finished = pipeline(fs.createReadStream(filePath), input);
+    finished.catch(() => {});
+    
+    const hash = crypto.createHash('sha256');
+    let rows = 0;
+    
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        hash.update(`${line}\n`);
+        rows++;
+        
+        if (onRecord) {
+            await onRecord(JSON.parse(line));
+        }
+    }
+    
+    await finished;
+    return { rows, sha256: hash.digest('hex') };
+}
+
+async function verifyArchive(archivePath) {
+    const manifestPath = path.join(archivePath, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`${archivePath} has no ${MANIFEST_FILE}, the export is missing or did not finish`);
+    }
+    
+    const manifest = readJsonFile(manifestPath).data;
+    if (manifest.format !== ARCHIVE_FORMAT || manifest.version !== ARCHIVE_VERSION) {
+        throw new Error(`${archivePath} is not a version ${ARCHIVE_VERSION} ${ARCHIVE_FORMAT}`);
+    }
+    
+    const problems = [];
+    const checkJsonFile = (relativePath, expectedSha256) => {
+        try {
+            if (readJsonFile(resolveArchiveFile(archivePath, relativePath)).sha256 !== expectedSha256) {
+                problems.push(`${relativePath}: hash does not match the manifest`);
+            }
+        } catch (error) {
+            problems.push(`${relativePath}: ${error.message}`);
+        }
+    };
+    
+    checkJsonFile(manifest.objects.file, manifest.objects.sha256);
+    
+    for (const entry of manifest.tables) {
+        checkJsonFile(entry.schemaFile, entry.schemaSha256);
+        
+        try {
+            const data = await readDataFile(resolveArchiveFile(archivePath, entry.dataFile));
+            if (data.rows !== entry.rows) {
+                problems.push(`${entry.dataFile}: ${data.rows} rows, manifest expects ${entry.rows}`);
+            } else if (data.sha256 !== entry.sha256) {
+                problems.push(`${entry.dataFile}: hash does not match the manifest`);
+            }
+        } catch (error) {
+            problems.push(`${entry.dataFile}: ${error.message}`);
+        }
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Archive ${archivePath} failed verification:\n   - ${problems.join('\n   - ')}`);
+    }
+    
+    return manifest;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    MANIFEST_FILE,
+    OBJECTS_FILE,
+    getTableFiles,
+    getExactColumns,
+    getDecimalTextColumns,
+    encodeArchiveRow,
+    decodeArchiveRecord,
+    parseExactDateTime,
+    hashContent,
+    writeJsonFile,
+    createDataWriter,
+    resolveArchiveFile,
+    readJsonFile,
+    readDataFile,
+    verifyArchive
+};
\ No newline at end of file
@@ -0,0 +1,504 @@
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const { sourceConfig, targetConfig, transferOptions, backupOptions, validateConfig } = require('./config');
+const { getTableSchema, getPagingKey, buildKeyRangeCondition, sumTableRows, getIdentityCurrent, setIdentitySeed, getProgrammableObjects, getForeignKeys, setForeignKeysEnabled, disableTableTriggers, enableTableTriggers } = require('./database');
+const { getTableDefinition, generateCreateTableSQL, generateIndexSQL, generateForeignKeySQL } = require('./ddl');
+const { parseTableName, quoteIdentifier, quoteTableName, encodeValue, decodeValue } = require('./utils');
+const { verifyTableData } = require('./verifier');
+const { assertSafeTarget } = require('./safety');
+const { createLogger } = require('./logger');
+
+const log = createLogger('backups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadLedger(filePath = path.resolve(backupOptions.ledgerFile)) {
+    if (!fs.existsSync(filePath)) {
+        return { filePath, target: { server: targetConfig.server, database: targetConfig.database }, backups: [] };
+    }
+    
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.target.server !== targetConfig.server || data.target.database !== targetConfig.database) {
+        throw new Error(`Backup ledger ${filePath} was written for ${data.target.server}/${data.target.database}, not the configured target`);
+    }
+    
+    return { ...data, filePath };
+}
+
+function saveLedger(ledger) {
+    const { filePath, ...data } = ledger;
+    data.updatedAt = new Date().toISOString();
+    
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+    ledger.updatedAt = data.updatedAt;
+}
+
+function getBackupTableName(tableName, date = new Date()) {
+    const { schema, name } = parseTableName(tableName);
+    return `${schema}.${name}_backup_${date.toISOString().replace(/[-:.]/g, '').slice(0, 18)}`;
+}
+
+// Adding a column keeps every stored value, so only dropping the table or altering and dropping columns needs a copy first
+function needsBackup(changes) {
+    return changes.some(change => change.action === 'DROP_TABLE' ||
+        (change.status === 'PENDING' && ['ALTER_COLUMN', 'DROP_COLUMN'].includes(change.action)));
+}
+
+function normalizeTableName(tableName) {
+    const { schema, name } = parseTableName(tableName);
+    return `${schema}.${name}`.toLowerCase();
+}
+
+function findBackup(ledger, name) {
+    const key = normalizeTableName(name);
+    const backup = ledger.backups.find(entry => normalizeTableName(entry.backupTable) === key);
+    if (backup) {
+        return backup;
+    }
+    
+    // Each rollback restores the newest backup that is still active, so repeated rollbacks step back one fix at a time
+    return ledger.backups.filter(entry => normalizeTableName(entry.table) === key && entry.status === 'ACTIVE').pop() || null;
+}
+
+async function tableExists(pool, tableName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(tableName));
+    const result = await request.query(`SELECT OBJECT_ID(@objectName, 'U') AS object_id`);
+    return result.recordset[0].object_id !== null;
+}
+
+async function getUnusedBackupTableName(pool, tableName) {
+    const baseName = getBackupTableName(tableName);
+    let backupTable = baseName;
+    
+    for (let suffix = 2; await tableExists(pool, backupTable); suffix++) {
+        backupTable = `${baseName}_${suffix}`;
+    }
+    
+    return backupTable;
+}
+
+async function getTableTriggers(pool, tableName) {
+    const key = normalizeTableName(tableName);
+    return (await getProgrammableObjects(pool, ['TRIGGER']))
+        .filter(trigger => trigger.parent && normalizeTableName(trigger.parent) === key)
+        .map(({ name, definition, disabled }) => ({ name, definition, disabled }));
+}
+
+async function getRangeKey(pool, tableName, keyColumns = null) {
+    const pagingKey = await getPagingKey(pool, tableName, await getTableSchema(pool, tableName));
+    if (keyColumns && pagingKey.columns.map(col => col.name).join(',') !== keyColumns.join(',')) {
+        throw new Error(`${tableName} is no longer keyed on ${keyColumns.join(', ')}, so its key ranges cannot be restored`);
+    }
+    return pagingKey;
+}
+
+function applyRanges(request, pagingKey, ranges) {
+    const conditions = ranges.map((range, i) => buildKeyRangeCondition(request, pagingKey, range.afterKey, range.upToKey, `r${i}_`) || '1 = 1');
+    return `WHERE ${conditions.map(condition => `(${condition})`).join(' OR ')}`;
+}
+
+function encodeRange(range) {
+    return {
+        afterKey: range.afterKey ? range.afterKey.map(encodeValue) : null,
+        upToKey: range.upToKey ? range.upToKey.map(encodeValue) : null
+    };
+}
+
+function decodeRange(range) {
+    return {
+        afterKey: range.afterKey ? range.afterKey.map(decodeValue) : null,
+        upToKey: range.upToKey ? range.upToKey.map(decodeValue) : null
+    };
+}
+
+async function createBackup(targetPool, ledger, tableName, details = {}) {
+    const { ranges = null, ...info } = details;
+    if (!await tableExists(targetPool, tableName)) {
+        return null;
+    }
+    
+    const backupTable = await getUnusedBackupTableName(targetPool, tableName);
+    const definition = await getTableDefinition(targetPool, tableName);
+    const identityCurrent = await getIdentityCurrent(targetPool, tableName);
+    const triggers = await getTableTriggers(targetPool, tableName);
+    const pagingKey = ranges ? await getRangeKey(targetPool, tableName) : null;
+    
+    const request = targetPool.request();
+    const whereClause = ranges ? applyRanges(request, pagingKey, ranges) : '';
+    const result = await request.query(`SELECT * INTO ${quoteTableName(backupTable)} FROM ${quoteTableName(tableName)} ${whereClause}`);
+    
+    const backup = {
+        table: tableName,
+        source: info.source || tableName,
+        backupTable,
+        command: info.command || null,
+        scope: ranges ? 'RANGES' : 'TABLE',
+        rows: result.rowsAffected[0],
+        status: 'ACTIVE',
+        createdAt: new Date().toISOString(),
+        identityCurrent,
+        definition,
+        triggers
+    };
+    if (ranges) {
+        backup.keyColumns = pagingKey.columns.map(col => col.name);
+        backup.ranges = ranges.map(encodeRange);
+    }
+    ledger.backups.push(backup);
+    saveLedger(ledger);
+    
+    log.info(`   💾 Backed up ${backup.rows.toLocaleString()} rows of ${tableName}${ranges ? ` in ${ranges.length} key ranges` : ''} to ${backupTable}`, { table: tableName, rows: backup.rows });
+    return backup;
+}
+
+function buildInsertFromBackup(backup) {
+    const { table, backupTable, definition } = backup;
+    const columns = definition.columns.filter(col => !col.computed && !/^(timestamp|rowversion)\b/i.test(col.type));
+    const columnList = columns.map(col => quoteIdentifier(col.name)).join(', ');
+    const insertStatement = `INSERT INTO ${quoteTableName(table)} (${columnList}) SELECT ${columnList} FROM ${quoteTableName(backupTable)}`;
+    
+    return columns.some(col => col.identity)
+        ? `SET IDENTITY_INSERT ${quoteTableName(table)} ON; ${insertStatement}; SET IDENTITY_INSERT ${quoteTableName(table)} OFF;`
+        : insertStatement;
+}
+
+async function runInTransaction(pool, work) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    
+    try {
+        await work(transaction);
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback().catch(() => {});
+        throw error;
+    }
+}
+
+async function getIncomingForeignKeys(pool, tableName) {
+    const key = normalizeTableName(tableName);
+    return (await getForeignKeys(pool)).filter(fk => normalizeTableName(fk.REFERENCED_TABLE_NAME) === key);
+}
+
+// Incoming foreign keys only stop checking while the rows are swapped, so the table keeps its object id and dependents
+async function restoreInPlace(targetPool, backup) {
+    const { table } = backup;
+    const foreignKeys = (await getIncomingForeignKeys(targetPool, table)).filter(fk => !fk.is_disabled);
+    const pagingKey = backup.scope === 'RANGES' ? await getRangeKey(targetPool, table, backup.keyColumns) : null;
+    
+    await runInTransaction(targetPool, async transaction => {
+        for (const fk of foreignKeys) {
+            await transaction.request().query(`ALTER TABLE ${quoteTableName(fk.TABLE_NAME)} NOCHECK CONSTRAINT ${quoteIdentifier(fk.CONSTRAINT_NAME)}`);
+        }
+        const triggers = await disableTableTriggers(transaction, table);
+        
+        const request = transaction.request();
+        const whereClause = pagingKey ? applyRanges(request, pagingKey, backup.ranges.map(decodeRange)) : '';
+        await request.query(`DELETE FROM ${quoteTableName(table)} ${whereClause}; ${buildInsertFromBackup(backup)}`);
+        
+        await enableTableTriggers(transaction, table, triggers);
+    });
+    
+    await recheckForeignKeys(targetPool, foreignKeys);
+}
+
+async function scriptIncomingForeignKeys(pool, table, foreignKeys) {
+    const key = normalizeTableName(table);
+    const statements = [];
+    
+    for (const referencingTable of new Set(foreignKeys.map(fk => fk.TABLE_NAME))) {
+        const names = new Set(foreignKeys.filter(fk => fk.TABLE_NAME === referencingTable).map(fk => fk.CONSTRAINT_NAME));
+        const definition = await getTableDefinition(pool, referencingTable);
+        definition.foreignKeys = definition.foreignKeys.filter(fk => names.has(fk.name) && normalizeTableName(fk.referencedTable) === key);
+        statements.push(...generateForeignKeySQL(definition));
+    }
+    
+    return statements;
+}
+
+// The table is dropped and created from the stored definition, so foreign keys pointing at it are scripted and
+// dropped first, and its triggers and all foreign keys are created again once the rows are back
+async function rebuildFromBackup(targetPool, backup) {
+    const { table, definition } = backup;
+    const key = normalizeTableName(table);
+    const foreignKeys = (await getIncomingForeignKeys(targetPool, table)).filter(fk => normalizeTableName(fk.TABLE_NAME) !== key);
+    const incomingStatements = await scriptIncomingForeignKeys(targetPool, table, foreignKeys);
+    
+    await runInTransaction(targetPool, async transaction => {
+        for (const fk of foreignKeys) {
+            await transaction.request().query(`ALTER TABLE ${quoteTableName(fk.TABLE_NAME)} DROP CONSTRAINT ${quoteIdentifier(fk.CONSTRAINT_NAME)}`);
+        }
+        await transaction.request().query(`DROP TABLE IF EXISTS ${quoteTableName(table)}`);
+        for (const statement of [generateCreateTableSQL(definition), ...generateIndexSQL(definition), buildInsertFromBackup(backup)]) {
+            await transaction.request().query(statement);
+        }
+        for (const trigger of backup.triggers || []) {
+            await transaction.request().query(trigger.definition);
+            if (trigger.disabled) {
+                await transaction.request().query(`DISABLE TRIGGER ${quoteTableName(trigger.name)} ON ${quoteTableName(table)}`);
+            }
+        }
+    });
+    
+    for (const statement of [...generateForeignKeySQL(definition), ...incomingStatements]) {
+        try {
+            await targetPool.request().query(statement);
+        } catch (error) {
+            // Rows written after the backup can reference rows it does not hold, so the constraint is kept without checking them
+            await targetPool.request().query(statement.replace(' WITH CHECK ADD ', ' WITH NOCHECK ADD '));
+            log.warn(`   ⚠️  A foreign key of ${table} was recreated WITH NOCHECK: ${error.message}`, { table, error: error.message });
+        }
+    }
+    
+    for (const fk of foreignKeys.filter(fk => fk.is_disabled)) {
+        await targetPool.request().query(`ALTER TABLE ${quoteTableName(fk.TABLE_NAME)} NOCHECK CONSTRAINT ${quoteIdentifier(fk.CONSTRAINT_NAME)}`);
+    }
+}
+
+async function recheckForeignKeys(targetPool, foreignKeys) {
+    const failures = await setForeignKeysEnabled(targetPool, foreignKeys, true);
+    
+    for (const failure of failures) {
+        await targetPool.request().query(`ALTER TABLE ${quoteTableName(failure.table)} CHECK CONSTRAINT ${quoteIdentifier(failure.constraint)}`);
+        log.warn(`   ⚠️  ${failure.table}.${failure.constraint} was enabled without checking the existing rows`, { table: failure.table });
+    }
+}
+
+function hasSameColumns(definition, other) {
+    return JSON.stringify(definition.columns) === JSON.stringify(other.columns);
+}
+
+async function restoreBackup(targetPool, ledger, backup) {
+    const { table, backupTable } = backup;
+    const current = await tableExists(targetPool, table) ? await getTableDefinition(targetPool, table) : null;
+    const inPlace = current !== null && hasSameColumns(current, backup.definition);
+    
+    if (inPlace) {
+        await restoreInPlace(targetPool, backup);
+    } else if (backup.scope === 'RANGES') {
+        throw new Error(`${table} changed structure since ${backupTable} was taken, so its key ranges cannot be put back`);
+    } else {
+        await rebuildFromBackup(targetPool, backup);
+    }
+    
+    if (backup.identityCurrent !== null) {
+        await setIdentitySeed(targetPool, table, backup.identityCurrent);
+    }
+    
+    backup.status = 'RESTORED';
+    backup.restoredAt = new Date().toISOString();
+    saveLedger(ledger);
+    
+    log.info(`   ↩️  Restored ${backup.rows.toLocaleString()} rows of ${table} from ${backupTable}${inPlace ? '' : ' (table rebuilt)'}`, { table, rows: backup.rows });
+}
+
+async function dropBackup(targetPool, ledger, backup) {
+    await targetPool.request().query(`DROP TABLE IF EXISTS ${quoteTableName(backup.backupTable)}`);
+    backup.status = 'DROPPED';
+    backup.droppedAt = new Date().toISOString();
+    saveLedger(ledger);
+    
+    log.info(`   🗑️  Dropped ${backup.backupTable}`, { table: backup.table });
+}
+
+// A fix takes at most one backup, and only right before its first destructive step, so a table whose fix only adds
+// columns or reloads a few key ranges is not copied in full
+function createBackupScope(targetPool, ledger, tableName, details = {}) {
+    const scope = {
+        backup: null,
+        rolledBack: false,
+        async take(options = {}) {
+            if (ledger && !scope.backup) {
+                scope.backup = await createBackup(targetPool, ledger, tableName, { ...details, ...options });
+            }
+            return scope.backup;
+        },
+        async rollback(reason) {
+            if (!scope.backup || scope.rolledBack) {
+                return false;
+            }
+            
+            log.warn(`   ↩️  ${reason}, restoring ${tableName} from ${scope.backup.backupTable}`, { table: tableName });
+            try {
+                await restoreBackup(targetPool, ledger, scope.backup);
+                scope.rolledBack = true;
+            } catch (restoreError) {
+                log.error(`   ❌ Could not restore ${tableName}: ${restoreError.message}, run "emergencyrestore rollback ${tableName}" once the cause is fixed`, { table: tableName, error: restoreError.message });
+            }
+            return scope.rolledBack;
+        }
+    };
+    
+    return scope;
+}
+
+async function runWithBackup(targetPool, ledger, tableName, details, operation) {
+    const scope = createBackupScope(targetPool, ledger, tableName, details);
+    
+    try {
+        return await operation(scope);
+    } catch (error) {
+        await scope.rollback(`Fixing ${tableName} failed`);
+        throw error;
+    }
+}
+
+async function rollbackTables(options = {}) {
+    const { tables = [] } = options;
+    let sourcePool, targetPool;
+    
+    try {
+        if (tables.length === 0) {
+            throw new Error('No table given, usage: node backups.js rollback <table|backup-table...>');
+        }
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        const ledger = loadLedger();
+        const backups = tables.map(name => {
+            const backup = findBackup(ledger, name);
+            if (!backup || backup.status === 'DROPPED') {
+                throw new Error(`No backup of ${name} to roll back to in ${ledger.filePath}`);
+            }
+            return backup;
+        });
+        
+        log.info('🔌 Connecting to databases...');
+        sourcePool = await sql.connect(sourceConfig);
+        targetPool = new sql.ConnectionPool(targetConfig);
+        await targetPool.connect();
+        log.info('✅ Connected to both databases');
+        
+        await assertSafeTarget(targetPool, { sourcePool, rowsToDelete: await sumTableRows(targetPool, backups.map(backup => backup.table)), action: 'Rolling back target tables' });
+        
+        const restored = [];
+        const failedTables = [];
+        
+        for (const backup of backups) {
+            log.info(`↩️  Rolling back ${backup.table} to ${backup.backupTable} (taken ${backup.createdAt})`);
+            try {
+                await restoreBackup(targetPool, ledger, backup);
+                restored.push({ table: backup.table, backupTable: backup.backupTable, rows: backup.rows });
+            } catch (error) {
+                failedTables.push({ table: backup.table, error: error.message });
+                log.error(`❌ Error rolling back ${backup.table}: ${error.message}`, { table: backup.table, error: error.message });
+            }
+        }
+        
+        const success = failedTables.length === 0;
+        if (success) {
+            log.info(`🎉 Rollback completed: ${restored.length} tables restored`);
+        } else {
+            log.warn(`⚠️  Rollback finished with ${failedTables.length} failed tables: ${failedTables.map(failure => failure.table).join(', ')}`);
+        }
+        
+        return { success, restored, failedTables };
+        
+    } catch (error) {
+        log.error(`💥 Rollback failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (sourcePool) {
+            await sourcePool.close();
+        }
+        if (targetPool) {
+            await targetPool.close();
+            log.info('🔌 Target database connection closed');
+        }
+    }
+}
+
+async function cleanupBackups(options = {}) {
+    const { retentionDays = backupOptions.retentionDays, schemaMap = transferOptions.schemaMap } = options;
+    let sourcePool, targetPool;
+    
+    try {
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        const ledger = loadLedger();
+        const cutoff = Date.now() - retentionDays * DAY_MS;
+        const expired = ledger.backups.filter(backup => backup.status !== 'DROPPED' && Date.parse(backup.createdAt) < cutoff);
+        
+        if (expired.length === 0) {
+            log.info(`✅ No backups older than ${retentionDays} days in ${ledger.filePath}`);
+            return { success: true, dropped: [], kept: [] };
+        }
+        
+        log.info('🔌 Connecting to databases...');
+        sourcePool = await sql.connect(sourceConfig);
+        targetPool = new sql.ConnectionPool(targetConfig);
+        await targetPool.connect();
+        log.info('✅ Connected to both databases');
+        
+        await assertSafeTarget(targetPool, { sourcePool, action: 'Dropping backup tables' });
+        
+        log.info(`🧹 Cleaning up ${expired.length} backups older than ${retentionDays} days...`);
+        const verifications = new Map();
+        const dropped = [];
+        const kept = [];
+        const failed = [];
+        
+        for (const backup of expired) {
+            // Active backups are the only way back for their table, so they are kept until the table matches the source again
+            if (backup.status === 'ACTIVE') {
+                if (!verifications.has(backup.table)) {
+                    verifications.set(backup.table, await verifyTableData(sourcePool, targetPool, backup.source, { schemaMap }));
+                }
+                const verification = verifications.get(backup.table);
+                if (verification.status !== 'MATCH') {
+                    kept.push({ backupTable: backup.backupTable, reason: `${backup.table} does not pass verification (${verification.status})` });
+                    log.warn(`   ⏭️  Keeping ${backup.backupTable}: ${backup.table} does not pass verification`, { table: backup.table });
+                    continue;
+                }
+            }
+            
+            try {
+                await dropBackup(targetPool, ledger, backup);
+                dropped.push({ backupTable: backup.backupTable, rows: backup.rows });
+            } catch (error) {
+                failed.push({ backupTable: backup.backupTable, error: error.message });
+                log.error(`   ❌ Error dropping ${backup.backupTable}: ${error.message}`, { table: backup.table, error: error.message });
+            }
+        }
+        
+        log.info(`🎉 Cleanup completed: ${dropped.length} backups dropped, ${kept.length} kept, ${failed.length} failed`);
+        return { success: failed.length === 0, dropped, kept, failed };
+        
+    } catch (error) {
+        log.error(`💥 Backup cleanup failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (sourcePool) {
+            await sourcePool.close();
+        }
+        if (targetPool) {
+            await targetPool.close();
+        }
+    }
+}
+
+if (require.main === module) {
+    const [command, ...tables] = process.argv.slice(2);
+    const operation = command === 'cleanup' ? cleanupBackups() : rollbackTables({ tables: command === 'rollback' ? tables : [] });
+    operation
+        .then(result => {
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    loadLedger,
+    getBackupTableName,
+    needsBackup,
+    runWithBackup,
+    rollbackTables,
+    cleanupBackups
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { encodeValue, decodeValue } = require('./utils');
+
+const DEFAULT_CHECKPOINT_FILE = 'restore-checkpoint.json';
+
+function getCheckpointPath() {
+    return path.resolve(process.env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_FILE);
+}
+
+function describeDatabase(config) {
+    return {
+        server: config.server,
+        database: config.database
+    };
+}
+
+function createCheckpoint(filePath, sourceConfig, targetConfig) {
+    const now = new Date().toISOString();
+    return {
+        filePath,
+        source: describeDatabase(sourceConfig),
+        target: describeDatabase(targetConfig),
+        startedAt: now,
+        updatedAt: now,
+        tables: {}
+    };
+}
+
+function loadCheckpoint(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const state of Object.values(data.tables)) {
+        if (state.lastKey) {
+            state.lastKey = state.lastKey.map(decodeValue);
+        }
+        if (state.boundaries) {
+            state.boundaries = state.boundaries.map(key => key.map(decodeValue));
+        }
+    }
+    
+    return { ...data, filePath };
+}
+
+function saveCheckpoint(checkpoint) {
+    const { filePath, ...data } = checkpoint;
+    data.updatedAt = new Date().toISOString();
+    
+    const tables = {};
+    for (const [table, state] of Object.entries(data.tables)) {
+        tables[table] = {
+            ...state,
+            lastKey: state.lastKey ? state.lastKey.map(encodeValue) : null
+        };
+        if (state.boundaries) {
+            tables[table].boundaries = state.boundaries.map(key => key.map(encodeValue));
+        }
+    }
+    
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...data, tables }, null, 2));
+    fs.renameSync(tempPath, filePath);
+    checkpoint.updatedAt = data.updatedAt;
+}
+
+function removeCheckpoint(checkpoint) {
+    if (fs.existsSync(checkpoint.filePath)) {
+        fs.unlinkSync(checkpoint.filePath);
+    }
+}
+
+function assertCheckpointMatches(checkpoint, sourceConfig, targetConfig) {
+    const source = describeDatabase(sourceConfig);
+    const target = describeDatabase(targetConfig);
+    
+    if (checkpoint.source.server !== source.server || checkpoint.source.database !== source.database ||
+        checkpoint.target.server !== target.server || checkpoint.target.database !== target.database) {
+        throw new Error(`Checkpoint ${checkpoint.filePath} was written for ${checkpoint.source.server}/${checkpoint.source.database} -> ${checkpoint.target.server}/${checkpoint.target.database}, not the configured databases`);
+    }
+}
+
+function getTableState(checkpoint, table) {
+    return checkpoint ? checkpoint.tables[table] || null : null;
+}
+
+function getRangeId(table, rangeIndex) {
+    return `${table}#${rangeIndex}`;
+}
+
+function recordTableRanges(checkpoint, table, boundaries) {
+    if (!checkpoint) {
+        return;
+    }
+    checkpoint.tables[table] = { status: 'IN_PROGRESS', lastKey: null, transferred: 0, boundaries };
+    saveCheckpoint(checkpoint);
+}
+
+function recordTableProgress(checkpoint, table, lastKey, transferred) {
+    if (!checkpoint) {
+        return;
+    }
+    checkpoint.tables[table] = { status: 'IN_PROGRESS', lastKey, transferred };
+    saveCheckpoint(checkpoint);
+}
+
+function markTableDone(checkpoint, table, transferred) {
+    if (!checkpoint) {
+        return;
+    }
+    for (const id of Object.keys(checkpoint.tables)) {
+        if (id.startsWith(`${table}#`)) {
+            delete checkpoint.tables[id];
+        }
+    }
+    checkpoint.tables[table] = { status: 'DONE', lastKey: null, transferred };
+    saveCheckpoint(checkpoint);
+}
+
+module.exports = {
+    getCheckpointPath,
+    createCheckpoint,
+    loadCheckpoint,
+    saveCheckpoint,
+    removeCheckpoint,
+    assertCheckpointMatches,
+    getTableState,
+    getRangeId,
+    recordTableRanges,
+    recordTableProgress,
+    markTableDone
+};
\ No newline at end of file
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { version } = require('./package.json');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    ERROR: 2,
+    USAGE: 64
+};
+
+const GLOBAL_OPTIONS = {
+    'env-file': { type: 'string', value: '<path>', description: 'Load settings from this file instead of .env' },
+    'source-profile': { type: 'string', value: '<name>', env: 'SOURCE_PROFILE', description: 'Read the source from <NAME>_DB_* variables (default SOURCE)' },
+    'target-profile': { type: 'string', value: '<name>', env: 'TARGET_PROFILE', description: 'Read the target from <NAME>_DB_* variables (default TARGET)' },
+    filter: { type: 'string', value: '<patterns>', env: 'FILTER', description: 'Only process matching tables, views and functions (e.g. App*,!AuditLogs)' },
+    'schema-map': { type: 'string', value: '<map>', env: 'SCHEMA_MAP', description: 'Restore source schemas under other target schemas (source:target,...); programmable objects touching them are skipped' },
+    'confirm-target': { type: 'string', value: '<name>', env: 'CONFIRM_TARGET', description: 'Target database name, required before anything on the target is changed' },
+    'allow-large-delete': { type: 'boolean', env: 'ALLOW_LARGE_DELETE', description: 'Allow clearing or dropping more than MAX_DELETE_ROWS target rows' },
+    'batch-size': { type: 'string', value: '<rows>', env: 'TRANSFER_BATCH_SIZE', integer: true, description: 'Rows per batch when copying data' },
+    concurrency: { type: 'string', value: '<n>', env: 'TRANSFER_CONCURRENCY', integer: true, description: 'Tables copied at the same time' },
+    format: { type: 'string', value: '<text|json>', choices: ['text', 'json'], description: 'Print the result as text (default) or JSON on stdout' },
+    'log-level': { type: 'string', value: '<level>', env: 'LOG_LEVEL', choices: ['debug', 'info', 'warn', 'error', 'silent'], description: 'Minimum level of progress messages (default info)' },
+    'log-format': { type: 'string', value: '<text|json>', env: 'LOG_FORMAT', choices: ['text', 'json'], description: 'Write progress messages as text (default) or JSON lines' },
+    'log-file': { type: 'string', value: '<path>', env: 'LOG_FILE', description: 'Also append progress messages as JSON lines to this file' },
+    verbose: { type: 'boolean', description: 'Print the resolved settings before running' },
+    quiet: { type: 'boolean', description: 'Only print warnings and errors' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' },
+    version: { type: 'boolean', description: 'Show the version number' }
+};
+
+const COMMAND_OPTIONS = {
+    resume: { type: 'boolean', description: 'Continue from the checkpoint of an interrupted restore' },
+    reset: { type: 'boolean', description: 'Forget the stored sync or replication state and merge every row again' },
+    'safety-lag': { type: 'string', value: '<seconds>', env: 'SYNC_SAFETY_LAG', integer: true, allowZero: true, description: 'Seconds a date high-water mark trails the newest row to catch late commits (default 300)' },
+    once: { type: 'boolean', description: 'Apply the pending changes once and exit instead of polling' },
+    'enable-tracking': { type: 'boolean', env: 'REPLICATION_ENABLE_TRACKING', description: 'Turn on Change Tracking and snapshot isolation for the source database and tables that lack them' },
+    'poll-interval': { type: 'string', value: '<ms>', env: 'REPLICATION_POLL_INTERVAL', integer: true, description: 'Milliseconds between Change Tracking polls (default 5000)' },
+    'dry-run': { type: 'boolean', description: 'Print what would be cleared, dropped, created and copied, reading inside transactions that are always rolled back' },
+    diff: { type: 'boolean', env: 'VERIFY_ROW_DIFF', description: 'List missing, extra and changed rows by key for mismatched tables' },
+    'diff-limit': { type: 'string', value: '<n>', env: 'VERIFY_DIFF_LIMIT', integer: true, description: 'Maximum row differences listed per table (default 100)' },
+    checksum: { type: 'string', value: '<checksum|sha256>', env: 'VERIFY_CHECKSUM_MODE', choices: ['checksum', 'sha256'], description: 'Compare data with fast CHECKSUM_AGG (default) or exact SHA-256 row hashes' },
+    ranges: { type: 'boolean', env: 'VERIFY_RANGE_CHECKSUMS', description: 'Narrow mismatched tables down to the key ranges that differ' },
+    'report-dir': { type: 'string', value: '<dir>', env: 'REPORT_DIR', description: 'Save verification and fix reports in this directory' },
+    'report-formats': { type: 'string', value: '<list>', env: 'REPORT_FORMATS', description: 'Report formats to save: json, junit, html (default all)' },
+    recreate: { type: 'boolean', env: 'STRUCTURE_RECREATE', description: 'Drop and recreate tables with structure differences instead of altering them in place' },
+    'drop-columns': { type: 'boolean', env: 'STRUCTURE_DROP_COLUMNS', description: 'Drop target columns that do not exist in the source' },
+    'approve-data-loss': { type: 'boolean', env: 'STRUCTURE_APPROVE_DATA_LOSS', description: 'Apply column changes that can truncate or drop data' },
+    'skip-backup': { type: 'boolean', env: 'SKIP_BACKUP', description: 'Change tables without copying them into a backup table first' },
+    'retention-days': { type: 'string', value: '<days>', env: 'BACKUP_RETENTION_DAYS', integer: true, description: 'Drop backups older than this many days (default 7)' },
+    'repair-rounds': { type: 'string', value: '<n>', env: 'RECOVERY_REPAIR_ROUNDS', integer: true, description: 'Maximum fixer rounds before giving up' }
+};
+
+const COMMANDS = {
+    restore: {
+        summary: 'Copy tables, data and programmable objects from source to target',
+        options: ['resume', 'dry-run'],
+        run: options => require('./restore-db').restoreDatabase({ resume: options.resume, dryRun: options['dry-run'] })
+    },
+    sync: {
+        summary: 'Merge rows changed since the last sync into the target (warm standby)',
+        options: ['reset', 'safety-lag'],
+        run: options => require('./sync-db').syncDatabase({ reset: options.reset })
+    },
+    replicate: {
+        summary: 'Apply source changes from Change Tracking to the target continuously',
+        options: ['once', 'reset', 'enable-tracking', 'poll-interval'],
+        run: options => require('./replicate-db').replicateDatabase({ once: options.once, reset: options.reset })
+    },
+    verify: {
+        summary: 'Compare structure, row counts and checksums between source and target',
+        options: ['diff', 'diff-limit', 'ranges', 'checksum', 'report-dir', 'report-formats'],
+        run: () => require('./verifier').verifyDatabases()
+    },
+    fix: {
+        summary: 'Re-create or re-copy every table that fails verification',
+        options: ['dry-run', 'recreate', 'drop-columns', 'approve-data-loss', 'skip-backup', 'checksum', 'report-dir', 'report-formats'],
+        run: options => require('./fixer').fixDatabaseIssues({ dryRun: options['dry-run'] })
+    },
+    'fix-structure': {
+        summary: 'Alter target tables in place to match the source columns',
+        options: ['dry-run', 'recreate', 'drop-columns', 'approve-data-loss', 'skip-backup'],
+        run: options => require('./structure-fixer').fixStructureIssues({ dryRun: options['dry-run'] })
+    },
+    rollback: {
+        summary: 'Put tables back from the backups taken before they were fixed',
+        args: '<table|backup-table...>',
+        requiredArgs: 1,
+        run: (options, args) => require('./backups').rollbackTables({ tables: args })
+    },
+    cleanup: {
+        summary: 'Drop backup tables past the retention window once their table verifies',
+        options: ['retention-days'],
+        run: () => require('./backups').cleanupBackups()
+    },
+    export: {
+        summary: 'Write the source database to an archive on disk',
+        args: '[archive-path]',
+        run: (options, args) => require('./export-db').exportDatabase({ archivePath: args[0] })
+    },
+    import: {
+        summary: 'Load an export archive into the target database',
+        args: '<archive-path>',
+        requiredArgs: 1,
+        run: (options, args) => require('./import-db').importDatabase({ archivePath: args[0] })
+    },
+    recover: {
+        summary: 'Restore, verify and repair in one run (disaster recovery)',
+        options: ['resume', 'repair-rounds', 'recreate', 'drop-columns', 'approve-data-loss', 'skip-backup', 'diff', 'diff-limit', 'checksum', 'report-dir', 'report-formats'],
+        run: options => require('./disaster-recovery').runDisasterRecovery({ resume: options.resume })
+    }
+};
+
+class UsageError extends Error {
+    constructor(message, commandName = null) {
+        super(message);
+        this.name = 'UsageError';
+        this.commandName = commandName;
+    }
+}
+
+function formatOptions(options) {
+    const rows = Object.entries(options).map(([name, option]) => [
+        `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`,
+        option.description
+    ]);
+    const width = Math.max(...rows.map(([flag]) => flag.length));
+    return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function getHelp(commandName) {
+    if (commandName && COMMANDS[commandName]) {
+        const command = COMMANDS[commandName];
+        const commandOptions = Object.fromEntries((command.options || []).map(name => [name, COMMAND_OPTIONS[name]]));
+        const sections = [
+            `Usage: emergencyrestore ${commandName}${command.args ? ` ${command.args}` : ''} [options]`,
+            command.summary
+        ];
+        if (command.options) {
+            sections.push(`Command options:\n${formatOptions(commandOptions)}`);
+        }
+        sections.push(`Options:\n${formatOptions(GLOBAL_OPTIONS)}`);
+        return sections.join('\n\n');
+    }
+    
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    const commandList = Object.entries(COMMANDS)
+        .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+        .join('\n');
+        
+    return [
+        'Usage: emergencyrestore <command> [options]',
+        `Commands:\n${commandList}`,
+        `Options:\n${formatOptions(GLOBAL_OPTIONS)}`,
+        'Settings not given as options are read from the environment and .env (see .env.example).\nRun "emergencyrestore <command> --help" for command options.',
+        `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILED} finished with failures, ${EXIT_CODES.ERROR} aborted by an error, ${EXIT_CODES.USAGE} invalid usage`
+    ].join('\n\n');
+}
+
+function parseCommandLine(argv) {
+    const parseOptions = Object.fromEntries(
+        Object.entries({ ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS }).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])
+    );
+    
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: parseOptions, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    
+    const [commandName, ...args] = parsed.positionals;
+    const options = parsed.values;
+    
+    if (commandName === 'help') {
+        return { help: true, commandName: args[0] };
+    }
+    if (options.help || options.version || !commandName) {
+        return { help: options.help || !options.version, version: options.version, commandName };
+    }
+    
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new UsageError(`Unknown command "${commandName}"`);
+    }
+    
+    for (const name of Object.keys(COMMAND_OPTIONS)) {
+        if (options[name] !== undefined && !(command.options || []).includes(name)) {
+            throw new UsageError(`Option --${name} is not supported by "${commandName}"`, commandName);
+        }
+    }
+    
+    for (const [name, option] of Object.entries({ ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS })) {
+        if (option.integer && options[name] !== undefined && !(option.allowZero ? /^\d+$/ : /^[1-9]\d*$/).test(options[name])) {
+            throw new UsageError(`--${name} must be a ${option.allowZero ? 'non-negative' : 'positive'} whole number`, commandName);
+        }
+    }
+    
+    for (const [name, option] of Object.entries({ ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS })) {
+        if (option.choices && options[name] !== undefined && !option.choices.includes(options[name])) {
+            throw new UsageError(`--${name} must be ${option.choices.join(' or ')}`, commandName);
+        }
+    }
+    if (args.length < (command.requiredArgs || 0)) {
+        throw new UsageError(`Missing argument: emergencyrestore ${commandName} ${command.args}`, commandName);
+    }
+    
+    return { commandName, command, options, args };
+}
+
+function applySettings(options) {
+    if (options['env-file']) {
+        if (!fs.existsSync(options['env-file'])) {
+            throw new UsageError(`Env file ${options['env-file']} does not exist`);
+        }
+        require('dotenv').config({ path: options['env-file'] });
+    }
+    
+    // config.js reads everything from the environment, so flags are applied there before it is loaded
+    for (const [name, option] of Object.entries({ ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS })) {
+        if (option.env && options[name] !== undefined) {
+            process.env[option.env] = options[name];
+        }
+    }
+}
+
+function configureOutput(options) {
+    if (options.quiet) {
+        console.log = () => {};
+    } else if (options.format === 'json') {
+        console.log = (...args) => console.error(...args);
+    }
+}
+
+function printSettings() {
+    const { sourceConfig, targetConfig, transferOptions } = require('./config');
+    console.log('⚙️  Settings:');
+    console.log(`   Source: ${sourceConfig.server}/${sourceConfig.database} (${process.env.SOURCE_PROFILE || 'SOURCE'}_DB_*)`);
+    console.log(`   Target: ${targetConfig.server}/${targetConfig.database} (${process.env.TARGET_PROFILE || 'TARGET'}_DB_*)`);
+    console.log(`   Filter: ${transferOptions.filter ? transferOptions.filter.patterns.join(', ') : 'all objects'}`);
+    console.log(`   Batch size: ${transferOptions.batchSize}, concurrency: ${transferOptions.concurrency}`);
+}
+
+function getExitCode(commandName, result) {
+    if (commandName === 'recover') {
+        return result.exitCode;
+    }
+    return result && result.success === false ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+async function main(argv) {
+    let invocation;
+    
+    try {
+        invocation = parseCommandLine(argv);
+        if (invocation.version) {
+            console.log(version);
+            return EXIT_CODES.OK;
+        }
+        if (invocation.help) {
+            console.log(getHelp(invocation.commandName));
+            return EXIT_CODES.OK;
+        }
+        applySettings(invocation.options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n`);
+            console.error(getHelp(error.commandName));
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+    
+    const { commandName, command, options, args } = invocation;
+    configureOutput(options);
+    
+    try {
+        if (options.verbose) {
+            printSettings();
+        }
+        
+        const result = await command.run(options, args);
+        
+        if (options.format === 'json') {
+            process.stdout.write(`${JSON.stringify(result === undefined ? null : result, null, 2)}\n`);
+        }
+        
+        return getExitCode(commandName, result);
+    } catch (error) {
+        console.error(`💥 ${commandName} failed:`, error.message);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exit(exitCode);
+    });
+}
+
+module.exports = { main, parseCommandLine, UsageError, EXIT_CODES };
\ No newline at end of file
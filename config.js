@@ -1,4 +1,5 @@
 require('dotenv').config();
+const { parseSchemaMap, parseObjectFilter } = require('./utils');
 
 function createDatabaseConfig(prefix) {
     return {
@@ -29,13 +30,127 @@ function validateConfig(config, name) {
     }
 }
 
-const sourceConfig = createDatabaseConfig('SOURCE');
-const targetConfig = createDatabaseConfig('TARGET');
+function parsePositiveInteger(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    if (!/^[1-9]\d*$/.test(value.trim())) {
+        throw new Error(`Invalid ${name} "${value}", expected a positive whole number`);
+    }
+    return parseInt(value);
+}
+
+function createTransferOptions() {
+    return {
+        batchSize: parseInt(process.env.TRANSFER_BATCH_SIZE) || 10000,
+        concurrency: parseInt(process.env.TRANSFER_CONCURRENCY) || 1,
+        rangesPerTable: parseInt(process.env.TRANSFER_RANGES_PER_TABLE) || 1,
+        splitThreshold: parseInt(process.env.TRANSFER_SPLIT_THRESHOLD) || 1000000,
+        schemaMap: parseSchemaMap(process.env.SCHEMA_MAP),
+        filter: parseObjectFilter(process.env.FILTER)
+    };
+}
+
+function createVerifyOptions() {
+    return {
+        rowDiff: process.env.VERIFY_ROW_DIFF === 'true',
+        diffLimit: parseInt(process.env.VERIFY_DIFF_LIMIT) || 100,
+        rangeChecksums: process.env.VERIFY_RANGE_CHECKSUMS === 'true',
+        chunkRows: parseInt(process.env.VERIFY_CHUNK_ROWS) || 10000,
+        checksumMode: process.env.VERIFY_CHECKSUM_MODE || 'checksum'
+    };
+}
+
+function createReportOptions() {
+    return {
+        directory: process.env.REPORT_DIR || null,
+        formats: (process.env.REPORT_FORMATS || 'json,junit,html').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+function createLogOptions() {
+    return {
+        level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+        format: process.env.LOG_FORMAT || 'text',
+        file: process.env.LOG_FILE || null
+    };
+}
+
+function createSyncOptions() {
+    return {
+        stateFile: process.env.SYNC_STATE_FILE || 'sync-state.json',
+        modifiedColumns: (process.env.SYNC_MODIFIED_COLUMNS || '').split(',').map(item => item.trim()).filter(Boolean),
+        safetyLag: process.env.SYNC_SAFETY_LAG ? parseInt(process.env.SYNC_SAFETY_LAG) : 300
+    };
+}
+
+function createReplicationOptions() {
+    return {
+        stateFile: process.env.REPLICATION_STATE_FILE || 'replication-state.json',
+        pollInterval: parseInt(process.env.REPLICATION_POLL_INTERVAL) || 5000,
+        enableTracking: process.env.REPLICATION_ENABLE_TRACKING === 'true',
+        retentionDays: parseInt(process.env.CHANGE_TRACKING_RETENTION_DAYS) || 2
+    };
+}
+
+function createStructureOptions() {
+    return {
+        recreate: process.env.STRUCTURE_RECREATE === 'true',
+        dropColumns: process.env.STRUCTURE_DROP_COLUMNS === 'true',
+        approveDataLoss: process.env.STRUCTURE_APPROVE_DATA_LOSS === 'true'
+    };
+}
+
+function createBackupOptions() {
+    return {
+        ledgerFile: process.env.BACKUP_LEDGER_FILE || 'backup-ledger.json',
+        retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS) || 7,
+        skip: process.env.SKIP_BACKUP === 'true'
+    };
+}
+
+function createRecoveryOptions() {
+    return {
+        maxRepairRounds: parsePositiveInteger('RECOVERY_REPAIR_ROUNDS', 3)
+    };
+}
+
+function createSafetyOptions() {
+    return {
+        confirmTarget: process.env.CONFIRM_TARGET || null,
+        protectedDatabases: (process.env.PROTECTED_DATABASES || '').split(',').map(item => item.trim()).filter(Boolean),
+        maxDeleteRows: parseInt(process.env.MAX_DELETE_ROWS) || 1000000,
+        allowLargeDelete: process.env.ALLOW_LARGE_DELETE === 'true'
+    };
+}
+
+const sourceConfig = createDatabaseConfig(process.env.SOURCE_PROFILE || 'SOURCE');
+const targetConfig = createDatabaseConfig(process.env.TARGET_PROFILE || 'TARGET');
 
-validateConfig(sourceConfig, 'source');
-validateConfig(targetConfig, 'target');
+const transferOptions = createTransferOptions();
+const verifyOptions = createVerifyOptions();
+const reportOptions = createReportOptions();
+const safetyOptions = createSafetyOptions();
+const logOptions = createLogOptions();
+const syncOptions = createSyncOptions();
+const replicationOptions = createReplicationOptions();
+const structureOptions = createStructureOptions();
+const backupOptions = createBackupOptions();
+const recoveryOptions = createRecoveryOptions();
 
 module.exports = {
     sourceConfig,
-    targetConfig
+    targetConfig,
+    transferOptions,
+    verifyOptions,
+    reportOptions,
+    safetyOptions,
+    logOptions,
+    syncOptions,
+    replicationOptions,
+    structureOptions,
+    backupOptions,
+    recoveryOptions,
+    validateConfig
 };
\ No newline at end of file
@@ -1,105 +1,494 @@
 const sql = require('mssql');
-const { DatabaseError, executeWithRetry, sanitizeTableName } = require('./utils');
+const { DatabaseError, executeWithRetry, parseTableName, quoteIdentifier, quoteTableName, orderByDependencies } = require('./utils');
+const { formatColumnType, generateCreateTableSQL, generateIndexSQL } = require('./ddl');
+const { createLogger } = require('./logger');
+
+const log = createLogger('database');
+
+const PHYSLOC_COLUMN = '__physloc';
+const KEY_VALUE_PREFIX = '__key_value';
 
 async function getTableList(pool) {
     const result = await pool.request().query(`
-        SELECT TABLE_NAME 
+        SELECT TABLE_SCHEMA, TABLE_NAME 
         FROM INFORMATION_SCHEMA.TABLES 
         WHERE TABLE_TYPE = 'BASE TABLE' 
-        AND TABLE_SCHEMA = 'dbo'
-        ORDER BY TABLE_NAME
+        AND TABLE_SCHEMA NOT IN ('sys', 'INFORMATION_SCHEMA')
+        ORDER BY TABLE_SCHEMA, TABLE_NAME
     `);
-    return result.recordset.map(row => row.TABLE_NAME);
+    return result.recordset.map(row => `${row.TABLE_SCHEMA}.${row.TABLE_NAME}`);
 }
 
 async function getTableSchema(pool, tableName) {
-    const sanitizedTable = sanitizeTableName(tableName);
-    const result = await pool.request().query(`
+    const { schema, name } = parseTableName(tableName);
+    const request = pool.request();
+    request.input('schema', sql.NVarChar, schema);
+    request.input('table', sql.NVarChar, name);
+    const result = await request.query(`
         SELECT 
             COLUMN_NAME,
             DATA_TYPE,
             CHARACTER_MAXIMUM_LENGTH,
             NUMERIC_PRECISION,
             NUMERIC_SCALE,
+            DATETIME_PRECISION,
             IS_NULLABLE,
-            COLUMN_DEFAULT
+            COLUMN_DEFAULT,
+            COLUMNPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), COLUMN_NAME, 'IsComputed') AS IS_COMPUTED,
+            COLUMNPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), COLUMN_NAME, 'IsIdentity') AS IS_IDENTITY
         FROM INFORMATION_SCHEMA.COLUMNS 
-        WHERE TABLE_NAME = '${sanitizedTable}'
-        AND TABLE_SCHEMA = 'dbo'
+        WHERE TABLE_NAME = @table
+        AND TABLE_SCHEMA = @schema
         ORDER BY ORDINAL_POSITION
     `);
     return result.recordset;
 }
 
-async function createTableIfNotExists(targetPool, tableName, schema) {
-    try {
-        const columns = schema.map(col => {
-            let columnDef = `[${col.COLUMN_NAME}] ${col.DATA_TYPE}`;
-            
-            if (col.CHARACTER_MAXIMUM_LENGTH && col.CHARACTER_MAXIMUM_LENGTH > 0) {
-                columnDef += `(${col.CHARACTER_MAXIMUM_LENGTH})`;
-            } else if (col.DATA_TYPE === 'decimal' || col.DATA_TYPE === 'numeric') {
-                if (col.NUMERIC_PRECISION && col.NUMERIC_SCALE !== null) {
-                    columnDef += `(${col.NUMERIC_PRECISION},${col.NUMERIC_SCALE})`;
-                }
-            } else if (col.DATA_TYPE === 'varchar' || col.DATA_TYPE === 'nvarchar') {
-                if (col.CHARACTER_MAXIMUM_LENGTH === -1) {
-                    columnDef += '(MAX)';
-                } else if (!col.CHARACTER_MAXIMUM_LENGTH) {
-                    columnDef += '(255)';
-                }
-            } else if (col.DATA_TYPE === 'varbinary') {
-                if (col.CHARACTER_MAXIMUM_LENGTH === -1) {
-                    columnDef += '(MAX)';
-                } else if (col.CHARACTER_MAXIMUM_LENGTH) {
-                    columnDef += `(${col.CHARACTER_MAXIMUM_LENGTH})`;
-                } else {
-                    columnDef += '(MAX)';
+async function getPagingKey(pool, tableName, schema) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(tableName));
+    const result = await request.query(`
+        SELECT 
+            i.index_id,
+            i.is_primary_key,
+            c.name AS COLUMN_NAME,
+            c.is_nullable
+        FROM sys.indexes i
+        INNER JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id AND ic.key_ordinal > 0
+        INNER JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE i.object_id = OBJECT_ID(@objectName)
+        AND (i.is_primary_key = 1 OR i.is_unique = 1)
+        AND i.is_disabled = 0
+        AND i.has_filter = 0
+        ORDER BY i.is_primary_key DESC, CASE WHEN i.type = 1 THEN 0 ELSE 1 END, i.index_id, ic.key_ordinal
+    `);
+    
+    const indexes = new Map();
+    for (const row of result.recordset) {
+        if (!indexes.has(row.index_id)) {
+            indexes.set(row.index_id, { isPrimaryKey: row.is_primary_key, columns: [] });
+        }
+        indexes.get(row.index_id).columns.push(row);
+    }
+    
+    for (const index of indexes.values()) {
+        if (index.columns.some(col => col.is_nullable)) {
+            continue;
+        }
+        
+        return {
+            strategy: index.isPrimaryKey ? 'PRIMARY_KEY' : 'UNIQUE_INDEX',
+            columns: index.columns.map((keyCol, i) => {
+                const col = schema.find(c => c.COLUMN_NAME === keyCol.COLUMN_NAME);
+                const key = {
+                    name: keyCol.COLUMN_NAME,
+                    expression: quoteIdentifier(keyCol.COLUMN_NAME),
+                    type: getSqlDataType(col.DATA_TYPE, col.CHARACTER_MAXIMUM_LENGTH, col.NUMERIC_PRECISION, col.NUMERIC_SCALE)
+                };
+                
+                // Decimal keys round-trip as text, a JS number rounds past 15 significant digits and pages would skip or repeat rows
+                if (['decimal', 'numeric'].includes(col.DATA_TYPE.toLowerCase())) {
+                    key.type = sql.VarChar(64);
+                    key.alias = `${KEY_VALUE_PREFIX}${i}`;
+                    key.cast = formatColumnType(col.DATA_TYPE, col.CHARACTER_MAXIMUM_LENGTH, col.NUMERIC_PRECISION, col.NUMERIC_SCALE);
                 }
+                return key;
+            })
+        };
+    }
+    
+    // Heaps have no usable key to seek on, so readBatches reads them in a single scan instead
+    return {
+        strategy: 'PHYSLOC',
+        columns: [{ name: PHYSLOC_COLUMN, expression: '%%physloc%%', type: sql.Binary(8) }]
+    };
+}
+
+// Rows carry sub-millisecond precision in nanosecondsDelta, but parameters are written from nanosecondDelta
+function toKeyValue(value) {
+    if (value instanceof Date && value.nanosecondsDelta) {
+        const key = new Date(value.getTime());
+        key.nanosecondDelta = value.nanosecondsDelta;
+        return key;
+    }
+    return value;
+}
+
+function getRowKey(row, pagingKey) {
+    return pagingKey.columns.map(col => toKeyValue(row[col.alias || col.name]));
+}
+
+function getKeyValueColumns(pagingKey) {
+    return pagingKey.columns
+        .filter(col => col.alias)
+        .map(col => `CONVERT(VARCHAR(64), ${col.expression}) AS ${quoteIdentifier(col.alias)}`);
+}
+
+function bindKeyValue(request, name, col, value) {
+    request.input(name, col.type, col.cast && value !== null && value !== undefined ? String(value) : value);
+}
+
+function buildKeyPredicate(columns, paramPrefix) {
+    const parameter = (col, i) => col.cast ? `CAST(@${paramPrefix}${i} AS ${col.cast})` : `@${paramPrefix}${i}`;
+    const clauses = columns.map((col, i) => {
+        const equalities = columns.slice(0, i).map((prev, j) => `${prev.expression} = ${parameter(prev, j)}`);
+        return [...equalities, `${col.expression} > ${parameter(col, i)}`].join(' AND ');
+    });
+    return clauses.map(clause => `(${clause})`).join(' OR ');
+}
+
+function buildKeyRangeCondition(request, pagingKey, afterKey, upToKey, paramPrefix = '') {
+    const conditions = [];
+    
+    if (afterKey) {
+        pagingKey.columns.forEach((col, i) => bindKeyValue(request, `${paramPrefix}after${i}`, col, afterKey[i]));
+        conditions.push(`(${buildKeyPredicate(pagingKey.columns, `${paramPrefix}after`)})`);
+    }
+    
+    if (upToKey) {
+        pagingKey.columns.forEach((col, i) => bindKeyValue(request, `${paramPrefix}upto${i}`, col, upToKey[i]));
+        conditions.push(`NOT (${buildKeyPredicate(pagingKey.columns, `${paramPrefix}upto`)})`);
+    }
+    
+    return conditions.join(' AND ');
+}
+
+function applyKeyRange(request, pagingKey, afterKey, upToKey) {
+    const condition = buildKeyRangeCondition(request, pagingKey, afterKey, upToKey);
+    return condition ? `WHERE ${condition}` : '';
+}
+
+async function fetchBatchAfter(pool, tableName, pagingKey, lastKey, batchSize, upToKey = null, extraColumns = []) {
+    const request = pool.request();
+    const whereClause = applyKeyRange(request, pagingKey, lastKey, upToKey);
+    const selectList = ['*', ...getKeyValueColumns(pagingKey), ...extraColumns].join(', ');
+    const orderBy = pagingKey.columns.map(col => col.expression).join(', ');
+    
+    const result = await request.query(`
+        SELECT TOP (${batchSize}) ${selectList}
+        FROM ${quoteTableName(tableName)}
+        ${whereClause}
+        ORDER BY ${orderBy}
+    `);
+    
+    const rows = result.recordset;
+    if (rows.length === 0) {
+        return { rows, lastKey };
+    }
+    
+    return { rows, lastKey: getRowKey(rows[rows.length - 1], pagingKey) };
+}
+
+async function* streamTableBatches(pool, tableName, batchSize, extraColumns) {
+    const request = pool.request();
+    request.stream = true;
+    const queue = [];
+    let batch = [];
+    let done = false;
+    let failure = null;
+    let wake = null;
+    const notify = () => {
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+    
+    request.on('row', row => {
+        batch.push(row);
+        if (batch.length >= batchSize) {
+            queue.push(batch);
+            batch = [];
+            request.pause();
+            notify();
+        }
+    });
+    request.on('error', error => {
+        failure = error;
+        notify();
+    });
+    request.on('done', () => {
+        if (batch.length > 0) {
+            queue.push(batch);
+        }
+        done = true;
+        notify();
+    });
+    request.query(`SELECT ${['*', ...extraColumns].join(', ')} FROM ${quoteTableName(tableName)}`);
+    
+    try {
+        while (true) {
+            if (failure) {
+                throw failure;
             }
-            
-            if (col.IS_NULLABLE === 'NO') {
-                columnDef += ' NOT NULL';
+            if (queue.length > 0) {
+                yield { rows: queue.shift(), lastKey: null };
+                if (queue.length === 0 && !done) {
+                    request.resume();
+                }
+            } else if (done) {
+                return;
+            } else {
+                await new Promise(resolve => {
+                    wake = resolve;
+                });
             }
-            
-            return columnDef;
-        }).join(', ');
+        }
+    } finally {
+        if (!done && !failure) {
+            request.cancel();
+        }
+    }
+}
+
+// Keyed tables are read batch by batch from the last key. Heaps are read in one unordered scan
+// that is paused between batches, because seeking by %%physloc%% sorts the whole heap every batch.
+async function* readBatches(pool, tableName, pagingKey, options = {}) {
+    const { afterKey = null, upToKey = null, batchSize, extraColumns = [] } = options;
+    
+    if (pagingKey.strategy === 'PHYSLOC') {
+        yield* streamTableBatches(pool, tableName, batchSize, extraColumns);
+        return;
+    }
+    
+    let lastKey = afterKey;
+    while (true) {
+        const batch = await executeWithRetry(() => fetchBatchAfter(pool, tableName, pagingKey, lastKey, batchSize, upToKey, extraColumns));
+        if (batch.rows.length === 0) {
+            return;
+        }
+        
+        lastKey = batch.lastKey;
+        yield batch;
+        
+        if (batch.rows.length < batchSize) {
+            return;
+        }
+    }
+}
+
+async function fetchChangedBatch(pool, tableName, pagingKey, lastKey, batchSize, change) {
+    const request = pool.request();
+    const whereClause = applyKeyRange(request, pagingKey, lastKey, null);
+    
+    const changeConditions = [`${change.expression} <= @changedUpTo`];
+    request.input('changedUpTo', change.type, change.upTo);
+    if (change.after !== null && change.after !== undefined) {
+        request.input('changedAfter', change.type, change.after);
+        changeConditions.unshift(`${change.expression} > @changedAfter`);
+    }
+    const orderBy = pagingKey.columns.map(col => col.expression).join(', ');
+    
+    const result = await request.query(`
+        SELECT TOP (${batchSize}) ${['*', ...getKeyValueColumns(pagingKey)].join(', ')}
+        FROM (
+            SELECT * FROM ${quoteTableName(tableName)}
+            WHERE ${changeConditions.join(' AND ')}
+        ) changed
+        ${whereClause}
+        ORDER BY ${orderBy}
+    `);
+    
+    const rows = result.recordset;
+    return {
+        rows,
+        lastKey: rows.length > 0 ? getRowKey(rows[rows.length - 1], pagingKey) : lastKey
+    };
+}
+
+async function deleteKeyRange(pool, tableName, pagingKey, afterKey, upToKey = null) {
+    const request = pool.request();
+    const whereClause = applyKeyRange(request, pagingKey, afterKey, upToKey);
+    
+    const result = await request.query(`DELETE FROM ${quoteTableName(tableName)} ${whereClause}`);
+    return result.rowsAffected[0];
+}
+
+async function getKeyRangeBoundaries(pool, tableName, pagingKey, rangeCount, totalRows, afterKey = null, upToKey = null) {
+    const step = Math.ceil(totalRows / rangeCount);
+    const keyList = pagingKey.columns.map(col => col.expression).join(', ');
+    
+    const request = pool.request();
+    request.timeout = 300000;
+    const whereClause = applyKeyRange(request, pagingKey, afterKey, upToKey);
+    const result = await request.query(`
+        SELECT ${[keyList, ...getKeyValueColumns(pagingKey)].join(', ')}
+        FROM (
+            SELECT ${keyList}, ROW_NUMBER() OVER (ORDER BY ${keyList}) AS row_num
+            FROM ${quoteTableName(tableName)}
+            ${whereClause}
+        ) numbered
+        WHERE row_num % ${step} = 0 AND row_num < ${totalRows}
+        ORDER BY row_num
+    `);
+    
+    return result.recordset.map(row => getRowKey(row, pagingKey));
+}
+
+async function getTableRowCounts(pool) {
+    const result = await pool.request().query(`
+        SELECT 
+            SCHEMA_NAME(t.schema_id) + '.' + t.name AS TABLE_NAME,
+            SUM(p.rows) AS ROW_COUNT
+        FROM sys.tables t
+        INNER JOIN sys.partitions p ON p.object_id = t.object_id AND p.index_id IN (0, 1)
+        GROUP BY t.schema_id, t.name
+    `);
+    return new Map(result.recordset.map(row => [row.TABLE_NAME, Number(row.ROW_COUNT)]));
+}
+
+async function sumTableRows(pool, tables) {
+    const rowCounts = await getTableRowCounts(pool);
+    return tables.reduce((sum, table) => sum + (rowCounts.get(table) || 0), 0);
+}
+
+async function ensureSchema(pool, schema) {
+    const request = pool.request();
+    request.input('schema', sql.NVarChar, schema);
+    await request.query(`
+        IF SCHEMA_ID(@schema) IS NULL
+            EXEC('CREATE SCHEMA ' + QUOTENAME(@schema))
+    `);
+}
+
+async function createTableIfNotExists(targetPool, tableName, definition, options = {}) {
+    const { indexes = true } = options;
+    
+    try {
+        await ensureSchema(targetPool, parseTableName(tableName).schema);
+        await targetPool.request().query(generateCreateTableSQL(definition));
+        
+        const indexStatements = indexes ? generateIndexSQL(definition) : [];
+        for (const statement of indexStatements) {
+            await targetPool.request().query(statement);
+        }
         
-        const createTableQuery = `CREATE TABLE [${tableName}] (${columns})`;
-        await targetPool.request().query(createTableQuery);
-        console.log(`✅ Created table: ${tableName}`);
+        log.info(`✅ Created table: ${tableName} (${indexes ? `${indexStatements.length} additional indexes` : 'indexes are built after the data load'})`);
+        return true;
     } catch (error) {
         if (error.message.includes('already an object')) {
-            console.log(`ℹ️  Table ${tableName} already exists`);
+            log.info(`ℹ️  Table ${tableName} already exists`);
+            return false;
         } else {
             throw new DatabaseError(`Error creating table ${tableName}: ${error.message}`, tableName, 'CREATE_TABLE');
         }
     }
 }
 
-async function getFunctions(pool) {
+async function createMissingIndexes(targetPool, definition) {
+    const request = targetPool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(definition.name));
+    const result = await request.query('SELECT name FROM sys.indexes WHERE object_id = OBJECT_ID(@objectName) AND name IS NOT NULL');
+    const existing = new Set(result.recordset.map(row => row.name));
+    
+    const statements = generateIndexSQL({ ...definition, indexes: definition.indexes.filter(index => !existing.has(index.name)) });
+    for (const statement of statements) {
+        await targetPool.request().query(statement);
+    }
+    return definition.indexes.filter(index => !index.primaryKey && !index.uniqueConstraint && !existing.has(index.name)).length;
+}
+
+const OBJECT_TYPES = {
+    FUNCTION: ['FN', 'IF', 'TF'],
+    VIEW: ['V'],
+    PROCEDURE: ['P'],
+    TRIGGER: ['TR']
+};
+
+async function getProgrammableObjects(pool, types = ['FUNCTION', 'VIEW', 'PROCEDURE', 'TRIGGER', 'DDL_TRIGGER']) {
+    const objectTypes = types.flatMap(type => OBJECT_TYPES[type] || []);
+    const objects = [];
+    
+    if (objectTypes.length > 0) {
+        const result = await pool.request().query(`
+            SELECT 
+                SCHEMA_NAME(o.schema_id) + '.' + o.name AS OBJECT_NAME,
+                RTRIM(o.type) AS OBJECT_TYPE,
+                OBJECT_SCHEMA_NAME(o.parent_object_id) + '.' + OBJECT_NAME(o.parent_object_id) AS PARENT_NAME,
+                m.definition AS DEFINITION,
+                ISNULL(OBJECTPROPERTY(o.object_id, 'ExecIsTriggerDisabled'), 0) AS IS_DISABLED
+            FROM sys.sql_modules m
+            INNER JOIN sys.objects o ON o.object_id = m.object_id
+            WHERE o.is_ms_shipped = 0
+            AND RTRIM(o.type) IN (${objectTypes.map(type => `'${type}'`).join(', ')})
+            ORDER BY OBJECT_NAME
+        `);
+        
+        for (const row of result.recordset) {
+            objects.push({
+                name: row.OBJECT_NAME,
+                type: Object.keys(OBJECT_TYPES).find(type => OBJECT_TYPES[type].includes(row.OBJECT_TYPE)),
+                parent: row.PARENT_NAME,
+                definition: row.DEFINITION,
+                disabled: Boolean(row.IS_DISABLED)
+            });
+        }
+    }
+    
+    if (types.includes('DDL_TRIGGER')) {
+        const result = await pool.request().query(`
+            SELECT t.name, m.definition, t.is_disabled
+            FROM sys.triggers t
+            INNER JOIN sys.sql_modules m ON m.object_id = t.object_id
+            WHERE t.parent_class = 0
+            AND t.is_ms_shipped = 0
+            ORDER BY t.name
+        `);
+        
+        for (const row of result.recordset) {
+            objects.push({
+                name: row.name,
+                type: 'DDL_TRIGGER',
+                parent: null,
+                definition: row.definition,
+                disabled: row.is_disabled
+            });
+        }
+    }
+    
+    return objects;
+}
+
+async function getObjectDependencies(pool) {
     const result = await pool.request().query(`
-        SELECT 
-            ROUTINE_NAME,
-            ROUTINE_DEFINITION
-        FROM INFORMATION_SCHEMA.ROUTINES 
-        WHERE ROUTINE_TYPE = 'FUNCTION'
-        AND ROUTINE_SCHEMA = 'dbo'
-        ORDER BY ROUTINE_NAME
+        SELECT DISTINCT
+            OBJECT_SCHEMA_NAME(d.referencing_id) + '.' + OBJECT_NAME(d.referencing_id) AS OBJECT_NAME,
+            CASE
+                WHEN d.referenced_id IS NOT NULL THEN OBJECT_SCHEMA_NAME(d.referenced_id) + '.' + OBJECT_NAME(d.referenced_id)
+                ELSE ISNULL(d.referenced_schema_name, OBJECT_SCHEMA_NAME(d.referencing_id)) + '.' + d.referenced_entity_name
+            END AS REFERENCED_NAME
+        FROM sys.sql_expression_dependencies d
+        INNER JOIN sys.sql_modules m ON m.object_id = d.referencing_id
+        WHERE d.referencing_class = 1
+        AND d.referenced_class = 1
+        AND d.referenced_server_name IS NULL
+        AND d.referenced_database_name IS NULL
+        ORDER BY OBJECT_NAME, REFERENCED_NAME
     `);
     return result.recordset;
 }
 
+async function objectExists(pool, objectName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(objectName));
+    const result = await request.query('SELECT OBJECT_ID(@objectName) AS OBJECT_ID');
+    return result.recordset[0].OBJECT_ID !== null;
+}
+
+async function getFunctions(pool) {
+    const functions = await getProgrammableObjects(pool, ['FUNCTION']);
+    return functions.map(func => ({
+        ROUTINE_NAME: func.name,
+        ROUTINE_DEFINITION: func.definition
+    }));
+}
+
 async function getViews(pool) {
-    const result = await pool.request().query(`
-        SELECT 
-            TABLE_NAME as VIEW_NAME,
-            VIEW_DEFINITION
-        FROM INFORMATION_SCHEMA.VIEWS 
-        WHERE TABLE_SCHEMA = 'dbo'
-        ORDER BY TABLE_NAME
-    `);
-    return result.recordset;
+    const views = await getProgrammableObjects(pool, ['VIEW']);
+    return views.map(view => ({
+        VIEW_NAME: view.name,
+        VIEW_DEFINITION: view.definition
+    }));
 }
 
 function getSqlDataType(dataType, maxLength, precision, scale) {
@@ -163,14 +552,14 @@ function getSqlDataType(dataType, maxLength, precision, scale) {
     }
 }
 
-async function bulkInsertData(targetPool, table, schema, rows) {
-    if (!rows || rows.length === 0) {
-        return;
-    }
-    
-    const bulkTable = new sql.Table(table);
+function getInsertableColumns(schema) {
+    return schema.filter(col => !col.IS_COMPUTED && !['timestamp', 'rowversion'].includes(col.DATA_TYPE.toLowerCase()));
+}
+
+function buildBulkTable(name, columns, rows) {
+    const bulkTable = new sql.Table(name);
     
-    for (const col of schema) {
+    for (const col of columns) {
         const sqlType = getSqlDataType(col.DATA_TYPE, col.CHARACTER_MAXIMUM_LENGTH, col.NUMERIC_PRECISION, col.NUMERIC_SCALE);
         bulkTable.columns.add(col.COLUMN_NAME, sqlType, {
             nullable: col.IS_NULLABLE === 'YES'
@@ -178,7 +567,7 @@ async function bulkInsertData(targetPool, table, schema, rows) {
     }
     
     for (const row of rows) {
-        const values = schema.map(col => {
+        const values = columns.map(col => {
             let value = row[col.COLUMN_NAME];
             
             if (value === null || value === undefined) {
@@ -200,34 +589,311 @@ async function bulkInsertData(targetPool, table, schema, rows) {
         bulkTable.rows.add(...values);
     }
     
-    const request = new sql.Request(targetPool);
-    await request.bulk(bulkTable);
+    return bulkTable;
 }
 
-async function clearTargetDatabase(targetPool) {
-    console.log('🧹 Clearing target database...');
+// Target triggers are disabled for the statement, like they are for INSERT BULK, so a restored copy does not
+// run its application logic again; disabling them inside the transaction re-enables them on rollback.
+// A load that is passed a transaction instead of a pool runs inside it and leaves commit to the caller.
+async function loadThroughStaging(targetPool, table, columns, rows, buildStatement) {
+    const stagingName = '#staging';
+    const stagingTable = buildBulkTable(stagingName, columns, rows);
+    stagingTable.create = true;
+    
+    if (targetPool instanceof sql.Transaction) {
+        return runStagedLoad(targetPool, table, stagingName, stagingTable, buildStatement);
+    }
     
-    const tables = await getTableList(targetPool);
+    const transaction = new sql.Transaction(targetPool);
+    await transaction.begin();
+    
+    try {
+        const result = await runStagedLoad(transaction, table, stagingName, stagingTable, buildStatement);
+        await transaction.commit();
+        return result;
+    } catch (error) {
+        await transaction.rollback().catch(() => {});
+        throw error;
+    }
+}
+
+async function runStagedLoad(transaction, table, stagingName, stagingTable, buildStatement) {
+    await new sql.Request(transaction).bulk(stagingTable);
+    const triggers = await disableTableTriggers(transaction, table);
+    const result = await new sql.Request(transaction).query(`
+        ${buildStatement(`[${stagingName}]`)}
+        DROP TABLE [${stagingName}];
+    `);
+    await enableTableTriggers(transaction, table, triggers);
+    return result;
+}
+
+async function bulkInsertData(targetPool, table, schema, rows, options = {}) {
+    const { textColumns = [] } = options;
+    if (!rows || rows.length === 0) {
+        return;
+    }
+    
+    const columns = getInsertableColumns(schema);
+    const hasIdentity = columns.some(col => col.IS_IDENTITY);
+    
+    if (!hasIdentity && textColumns.length === 0) {
+        // Without keepNulls INSERT BULK fills NULLs of columns that have a DEFAULT with the default value
+        const request = new sql.Request(targetPool);
+        await request.bulk(buildBulkTable(quoteTableName(table), columns, rows), { keepNulls: true });
+        return;
+    }
+    
+    // INSERT BULK only keeps explicit identity values with KEEP_IDENTITY, which the driver cannot send,
+    // so identity tables are staged in a temp table and copied across with IDENTITY_INSERT on.
+    // Text columns are staged as VARCHAR and converted by the server, since binding them as
+    // sql.Decimal goes through a JS number and rounds anything past 15 significant digits
+    const isText = col => textColumns.includes(col.COLUMN_NAME);
+    const stagingColumns = columns.map(col => isText(col) ? { ...col, DATA_TYPE: 'varchar', CHARACTER_MAXIMUM_LENGTH: 64 } : col);
+    const columnList = columns.map(col => quoteIdentifier(col.COLUMN_NAME)).join(', ');
+    const selectList = columns.map(col => isText(col)
+        ? `CONVERT(${formatColumnType(col.DATA_TYPE, col.CHARACTER_MAXIMUM_LENGTH, col.NUMERIC_PRECISION, col.NUMERIC_SCALE)}, ${quoteIdentifier(col.COLUMN_NAME)})`
+        : quoteIdentifier(col.COLUMN_NAME)).join(', ');
+        
+    await loadThroughStaging(targetPool, table, stagingColumns, rows, stagingTable => `
+        ${hasIdentity ? `SET IDENTITY_INSERT ${quoteTableName(table)} ON;` : ''}
+        INSERT INTO ${quoteTableName(table)} (${columnList}) SELECT ${selectList} FROM ${stagingTable};
+        ${hasIdentity ? `SET IDENTITY_INSERT ${quoteTableName(table)} OFF;` : ''}
+    `);
+}
+
+async function upsertData(targetPool, table, schema, keyColumns, rows) {
+    if (!rows || rows.length === 0) {
+        return;
+    }
+    
+    const columns = getInsertableColumns(schema);
+    const targetName = quoteTableName(table);
+    const columnList = columns.map(col => quoteIdentifier(col.COLUMN_NAME)).join(', ');
+    const sourceList = columns.map(col => `source.${quoteIdentifier(col.COLUMN_NAME)}`).join(', ');
+    const matchOn = keyColumns.map(name => `target.${quoteIdentifier(name)} = source.${quoteIdentifier(name)}`).join(' AND ');
+    const updates = columns
+        .filter(col => !keyColumns.includes(col.COLUMN_NAME) && !col.IS_IDENTITY)
+        .map(col => `${quoteIdentifier(col.COLUMN_NAME)} = source.${quoteIdentifier(col.COLUMN_NAME)}`);
+    const hasIdentity = columns.some(col => col.IS_IDENTITY);
+    
+    await loadThroughStaging(targetPool, table, columns, rows, stagingTable => `
+        ${hasIdentity ? `SET IDENTITY_INSERT ${targetName} ON;` : ''}
+        MERGE ${targetName} WITH (HOLDLOCK) AS target
+        USING ${stagingTable} AS source ON ${matchOn}
+        ${updates.length > 0 ? `WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}` : ''}
+        WHEN NOT MATCHED BY TARGET THEN INSERT (${columnList}) VALUES (${sourceList});
+        ${hasIdentity ? `SET IDENTITY_INSERT ${targetName} OFF;` : ''}
+    `);
+}
+
+async function deleteRowsByKey(targetPool, table, schema, keyColumns, keys) {
+    if (!keys || keys.length === 0) {
+        return 0;
+    }
+    
+    const columns = keyColumns.map(name => schema.find(col => col.COLUMN_NAME === name));
+    const matchOn = keyColumns.map(name => `target.${quoteIdentifier(name)} = source.${quoteIdentifier(name)}`).join(' AND ');
+    
+    const result = await loadThroughStaging(targetPool, table, columns, keys, stagingTable => `
+        DELETE target FROM ${quoteTableName(table)} AS target
+        INNER JOIN ${stagingTable} AS source ON ${matchOn};
+    `);
+    return result.rowsAffected.reduce((sum, count) => sum + count, 0);
+}
+
+async function getIdentityCurrent(pool, tableName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(tableName));
+    const result = await request.query(`SELECT CAST(IDENT_CURRENT(@objectName) AS VARCHAR(40)) AS current_value`);
+    const currentValue = result.recordset[0].current_value;
     
-    for (const table of tables) {
+    return currentValue !== null && /^-?\d+$/.test(currentValue) ? currentValue : null;
+}
+
+async function setIdentitySeed(targetPool, tableName, currentValue) {
+    try {
+        const objectName = quoteTableName(tableName).replace(/'/g, "''");
+        await targetPool.request().query(`DBCC CHECKIDENT ('${objectName}', RESEED, ${currentValue}) WITH NO_INFOMSGS`);
+        log.info(`🔢 Reseeded identity for ${tableName} to ${currentValue}`);
+        return currentValue;
+    } catch (error) {
+        log.error(`❌ Error reseeding identity for ${tableName}: ${error.message}`, { table: tableName, error: error.message });
+        return null;
+    }
+}
+
+async function reseedIdentity(sourcePool, targetPool, tableName, targetTableName = tableName) {
+    const currentValue = await getIdentityCurrent(sourcePool, tableName);
+    
+    if (currentValue === null) {
+        return null;
+    }
+    
+    return setIdentitySeed(targetPool, targetTableName, currentValue);
+}
+
+async function getForeignKeys(pool) {
+    const result = await pool.request().query(`
+        SELECT 
+            fk.name AS CONSTRAINT_NAME,
+            OBJECT_SCHEMA_NAME(fk.parent_object_id) + '.' + OBJECT_NAME(fk.parent_object_id) AS TABLE_NAME,
+            OBJECT_SCHEMA_NAME(fk.referenced_object_id) + '.' + OBJECT_NAME(fk.referenced_object_id) AS REFERENCED_TABLE_NAME,
+            fk.is_disabled
+        FROM sys.foreign_keys fk
+        ORDER BY TABLE_NAME, CONSTRAINT_NAME
+    `);
+    return result.recordset;
+}
+
+function orderTablesByForeignKeys(tables, foreignKeys) {
+    const parents = new Map(tables.map(table => [table, new Set()]));
+    
+    for (const fk of foreignKeys) {
+        if (parents.has(fk.TABLE_NAME)) {
+            parents.get(fk.TABLE_NAME).add(fk.REFERENCED_TABLE_NAME);
+        }
+    }
+    
+    return orderByDependencies(tables, table => parents.get(table));
+}
+
+function getCycleForeignKeys(foreignKeys, cycles) {
+    return foreignKeys.filter(fk => !fk.is_disabled && cycles.some(cycle =>
+        cycle.includes(fk.TABLE_NAME) && cycle.includes(fk.REFERENCED_TABLE_NAME)
+    ));
+}
+
+function reportForeignKeyCycles(cycles) {
+    for (const cycle of cycles) {
+        log.warn(`⚠️  Foreign key cycle between tables: ${cycle.join(', ')} (constraints will be disabled while they are processed)`);
+    }
+}
+
+async function setForeignKeysEnabled(pool, foreignKeys, enabled) {
+    const failures = [];
+    
+    for (const fk of foreignKeys) {
+        const statement = enabled
+            ? `ALTER TABLE ${quoteTableName(fk.TABLE_NAME)} WITH CHECK CHECK CONSTRAINT ${quoteIdentifier(fk.CONSTRAINT_NAME)}`
+            : `ALTER TABLE ${quoteTableName(fk.TABLE_NAME)} NOCHECK CONSTRAINT ${quoteIdentifier(fk.CONSTRAINT_NAME)}`;
+            
         try {
-            await targetPool.request().query(`DELETE FROM [${table}]`);
-            console.log(`✅ Cleared table: ${table}`);
+            await pool.request().query(statement);
         } catch (error) {
-            console.error(`❌ Error clearing table ${table}:`, error.message);
+            log.error(`❌ Error ${enabled ? 'enabling' : 'disabling'} foreign key ${fk.CONSTRAINT_NAME} on ${fk.TABLE_NAME}: ${error.message}`, { error: error.message });
+            failures.push({ constraint: fk.CONSTRAINT_NAME, table: fk.TABLE_NAME, message: error.message });
+        }
+    }
+    
+    if (enabled && foreignKeys.length > 0) {
+        log.info(`🔗 Re-enabled ${foreignKeys.length - failures.length}/${foreignKeys.length} foreign keys WITH CHECK`);
+    }
+    
+    return failures;
+}
+
+async function disableTableTriggers(pool, tableName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(tableName));
+    const result = await request.query(`
+        SELECT OBJECT_SCHEMA_NAME(object_id) + '.' + name AS trigger_name
+        FROM sys.triggers
+        WHERE parent_id = OBJECT_ID(@objectName) AND is_disabled = 0
+    `);
+    const triggers = result.recordset.map(row => row.trigger_name);
+    
+    for (const trigger of triggers) {
+        await pool.request().query(`DISABLE TRIGGER ${quoteTableName(trigger)} ON ${quoteTableName(tableName)}`);
+    }
+    
+    return triggers;
+}
+
+async function enableTableTriggers(pool, tableName, triggers) {
+    for (const trigger of triggers) {
+        await pool.request().query(`ENABLE TRIGGER ${quoteTableName(trigger)} ON ${quoteTableName(tableName)}`);
+    }
+}
+
+// DISABLE TRIGGER takes a schema modification lock, so table loads toggle it once around all of their
+// batches; the per-batch toggle in runStagedLoad then finds no enabled triggers and leaves the schema alone
+async function withTableTriggersDisabled(pool, tableName, operation) {
+    const triggers = await disableTableTriggers(pool, tableName);
+    try {
+        return await operation();
+    } finally {
+        await enableTableTriggers(pool, tableName, triggers);
+    }
+}
+
+async function clearTargetDatabase(targetPool, options = {}) {
+    const { tables: selection = null, foreignKeys: plannedForeignKeys = [] } = options;
+    log.info(selection ? `🧹 Clearing ${selection.length} selected target tables...` : '🧹 Clearing target database...');
+    
+    const tables = selection || await getTableList(targetPool);
+    const foreignKeys = await getForeignKeys(targetPool);
+    const { levels, cycles } = orderTablesByForeignKeys(tables, [...foreignKeys, ...plannedForeignKeys]);
+    reportForeignKeyCycles(cycles);
+    
+    const cycleForeignKeys = getCycleForeignKeys(foreignKeys, cycles);
+    await setForeignKeysEnabled(targetPool, cycleForeignKeys, false);
+    
+    try {
+        for (const table of [...levels].reverse().flat()) {
+            try {
+                await targetPool.request().query(`DELETE FROM ${quoteTableName(table)}`);
+                log.info(`✅ Cleared table: ${table}`, { table });
+            } catch (error) {
+                log.error(`❌ Error clearing table ${table}: ${error.message}`, { table, error: error.message });
+            }
         }
+    } finally {
+        await setForeignKeysEnabled(targetPool, cycleForeignKeys, true);
     }
     
-    console.log('✅ Target database cleared successfully');
+    log.info('✅ Target database cleared successfully');
 }
 
 module.exports = {
     getTableList,
     getTableSchema,
+    ensureSchema,
+    getPagingKey,
+    applyKeyRange,
+    buildKeyRangeCondition,
+    getRowKey,
+    getKeyValueColumns,
+    fetchBatchAfter,
+    readBatches,
+    fetchChangedBatch,
+    deleteKeyRange,
+    getKeyRangeBoundaries,
+    getTableRowCounts,
+    sumTableRows,
     createTableIfNotExists,
+    createMissingIndexes,
+    getProgrammableObjects,
+    getObjectDependencies,
+    objectExists,
     getFunctions,
     getViews,
     getSqlDataType,
+    getInsertableColumns,
+    loadThroughStaging,
     bulkInsertData,
+    upsertData,
+    deleteRowsByKey,
+    getIdentityCurrent,
+    setIdentitySeed,
+    reseedIdentity,
+    getForeignKeys,
+    orderTablesByForeignKeys,
+    getCycleForeignKeys,
+    reportForeignKeyCycles,
+    setForeignKeysEnabled,
+    disableTableTriggers,
+    enableTableTriggers,
+    withTableTriggersDisabled,
     clearTargetDatabase
 };
\ No newline at end of file
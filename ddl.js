@@ -0,0 +1,309 @@
+const sql = require('mssql');
+const { quoteIdentifier, quoteTableName, mapTableName } = require('./utils');
+
+function formatColumnType(typeName, maxLength, precision, scale) {
+    switch (typeName.toLowerCase()) {
+        case 'varchar':
+        case 'char':
+        case 'varbinary':
+        case 'binary':
+            return `${typeName}(${maxLength === -1 ? 'MAX' : maxLength})`;
+        case 'nvarchar':
+        case 'nchar':
+            return `${typeName}(${maxLength === -1 ? 'MAX' : maxLength / 2})`;
+        case 'decimal':
+        case 'numeric':
+            return `${typeName}(${precision},${scale})`;
+        case 'datetime2':
+        case 'datetimeoffset':
+        case 'time':
+            return `${typeName}(${scale})`;
+        default:
+            return typeName;
+    }
+}
+
+async function getTableColumns(pool, objectName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, objectName);
+    const result = await request.query(`
+        SELECT
+            c.name AS COLUMN_NAME,
+            TYPE_NAME(c.system_type_id) AS TYPE_NAME,
+            c.max_length,
+            c.precision,
+            c.scale,
+            c.is_nullable,
+            c.collation_name,
+            cc.definition AS COMPUTED_DEFINITION,
+            cc.is_persisted,
+            dc.name AS DEFAULT_NAME,
+            dc.definition AS DEFAULT_DEFINITION,
+            CAST(idc.seed_value AS VARCHAR(40)) AS IDENTITY_SEED,
+            CAST(idc.increment_value AS VARCHAR(40)) AS IDENTITY_INCREMENT,
+            idc.is_not_for_replication
+        FROM sys.columns c
+        LEFT JOIN sys.computed_columns cc ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+        LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id
+        LEFT JOIN sys.identity_columns idc ON idc.object_id = c.object_id AND idc.column_id = c.column_id
+        WHERE c.object_id = OBJECT_ID(@objectName)
+        ORDER BY c.column_id
+    `);
+    
+    return result.recordset.map(row => ({
+        name: row.COLUMN_NAME,
+        type: formatColumnType(row.TYPE_NAME, row.max_length, row.precision, row.scale),
+        nullable: row.is_nullable,
+        collation: row.collation_name,
+        computed: row.COMPUTED_DEFINITION ? { definition: row.COMPUTED_DEFINITION, persisted: row.is_persisted } : null,
+        default: row.DEFAULT_DEFINITION ? { name: row.DEFAULT_NAME, definition: row.DEFAULT_DEFINITION } : null,
+        identity: row.IDENTITY_SEED !== null ? {
+            seed: row.IDENTITY_SEED,
+            increment: row.IDENTITY_INCREMENT,
+            notForReplication: row.is_not_for_replication
+        } : null
+    }));
+}
+
+async function getTableIndexes(pool, objectName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, objectName);
+    const result = await request.query(`
+        SELECT
+            i.index_id,
+            i.name AS INDEX_NAME,
+            i.type_desc,
+            i.is_primary_key,
+            i.is_unique_constraint,
+            i.is_unique,
+            i.filter_definition,
+            c.name AS COLUMN_NAME,
+            ic.is_descending_key,
+            ic.is_included_column
+        FROM sys.indexes i
+        INNER JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+        INNER JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE i.object_id = OBJECT_ID(@objectName)
+        AND i.type IN (1, 2)
+        AND i.is_hypothetical = 0
+        ORDER BY i.index_id, ic.key_ordinal, ic.index_column_id
+    `);
+    
+    const indexes = new Map();
+    for (const row of result.recordset) {
+        if (!indexes.has(row.index_id)) {
+            indexes.set(row.index_id, {
+                name: row.INDEX_NAME,
+                clustered: row.type_desc === 'CLUSTERED',
+                primaryKey: row.is_primary_key,
+                uniqueConstraint: row.is_unique_constraint,
+                unique: row.is_unique,
+                filter: row.filter_definition,
+                keyColumns: [],
+                includedColumns: []
+            });
+        }
+        
+        const index = indexes.get(row.index_id);
+        if (row.is_included_column) {
+            index.includedColumns.push(row.COLUMN_NAME);
+        } else {
+            index.keyColumns.push({ name: row.COLUMN_NAME, descending: row.is_descending_key });
+        }
+    }
+    
+    return [...indexes.values()];
+}
+
+async function getCheckConstraints(pool, objectName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, objectName);
+    const result = await request.query(`
+        SELECT name, definition, is_disabled
+        FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID(@objectName)
+        ORDER BY name
+    `);
+    return result.recordset.map(row => ({ name: row.name, definition: row.definition, disabled: row.is_disabled }));
+}
+
+async function getTableForeignKeys(pool, objectName) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, objectName);
+    const result = await request.query(`
+        SELECT
+            fk.object_id,
+            fk.name AS CONSTRAINT_NAME,
+            OBJECT_SCHEMA_NAME(fk.referenced_object_id) + '.' + OBJECT_NAME(fk.referenced_object_id) AS REFERENCED_TABLE_NAME,
+            fk.delete_referential_action_desc,
+            fk.update_referential_action_desc,
+            pc.name AS COLUMN_NAME,
+            rc.name AS REFERENCED_COLUMN_NAME
+        FROM sys.foreign_keys fk
+        INNER JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+        INNER JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+        INNER JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+        WHERE fk.parent_object_id = OBJECT_ID(@objectName)
+        ORDER BY fk.name, fkc.constraint_column_id
+    `);
+    
+    const foreignKeys = new Map();
+    for (const row of result.recordset) {
+        if (!foreignKeys.has(row.object_id)) {
+            foreignKeys.set(row.object_id, {
+                name: row.CONSTRAINT_NAME,
+                referencedTable: row.REFERENCED_TABLE_NAME,
+                onDelete: row.delete_referential_action_desc.replace('_', ' '),
+                onUpdate: row.update_referential_action_desc.replace('_', ' '),
+                columns: [],
+                referencedColumns: []
+            });
+        }
+        
+        const fk = foreignKeys.get(row.object_id);
+        fk.columns.push(row.COLUMN_NAME);
+        fk.referencedColumns.push(row.REFERENCED_COLUMN_NAME);
+    }
+    
+    return [...foreignKeys.values()];
+}
+
+async function getTableDefinition(pool, tableName) {
+    const objectName = quoteTableName(tableName);
+    
+    return {
+        name: tableName,
+        columns: await getTableColumns(pool, objectName),
+        indexes: await getTableIndexes(pool, objectName),
+        checkConstraints: await getCheckConstraints(pool, objectName),
+        foreignKeys: await getTableForeignKeys(pool, objectName)
+    };
+}
+
+function generateColumnSQL(column) {
+    if (column.computed) {
+        let columnDef = `${quoteIdentifier(column.name)} AS ${column.computed.definition}`;
+        if (column.computed.persisted) {
+            columnDef += ' PERSISTED';
+            if (!column.nullable) {
+                columnDef += ' NOT NULL';
+            }
+        }
+        return columnDef;
+    }
+    
+    let columnDef = `${quoteIdentifier(column.name)} ${column.type}`;
+    
+    if (column.collation) {
+        columnDef += ` COLLATE ${column.collation}`;
+    }
+    
+    if (column.identity) {
+        columnDef += ` IDENTITY(${column.identity.seed}, ${column.identity.increment})`;
+        if (column.identity.notForReplication) {
+            columnDef += ' NOT FOR REPLICATION';
+        }
+    }
+    
+    if (column.default) {
+        columnDef += ` CONSTRAINT ${quoteIdentifier(column.default.name)} DEFAULT ${column.default.definition}`;
+    }
+    
+    columnDef += column.nullable ? ' NULL' : ' NOT NULL';
+    
+    return columnDef;
+}
+
+function generateAddColumnSQL(tableName, column) {
+    return `ALTER TABLE ${quoteTableName(tableName)} ADD ${generateColumnSQL(column)}`;
+}
+
+function generateAlterColumnSQL(tableName, column) {
+    const collation = column.collation ? ` COLLATE ${column.collation}` : '';
+    return `ALTER TABLE ${quoteTableName(tableName)} ALTER COLUMN ${quoteIdentifier(column.name)} ${column.type}${collation} ${column.nullable ? 'NULL' : 'NOT NULL'}`;
+}
+
+function generateDropColumnSQL(tableName, column) {
+    const statements = [];
+    if (column.default) {
+        statements.push(`ALTER TABLE ${quoteTableName(tableName)} DROP CONSTRAINT ${quoteIdentifier(column.default.name)}`);
+    }
+    statements.push(`ALTER TABLE ${quoteTableName(tableName)} DROP COLUMN ${quoteIdentifier(column.name)}`);
+    return statements;
+}
+
+function formatIndexColumns(index) {
+    return index.keyColumns.map(col => `${quoteIdentifier(col.name)} ${col.descending ? 'DESC' : 'ASC'}`).join(', ');
+}
+
+function generateCreateTableSQL(definition) {
+    const lines = definition.columns.map(generateColumnSQL);
+    
+    for (const index of definition.indexes) {
+        if (index.primaryKey || index.uniqueConstraint) {
+            const constraintType = index.primaryKey ? 'PRIMARY KEY' : 'UNIQUE';
+            lines.push(`CONSTRAINT ${quoteIdentifier(index.name)} ${constraintType} ${index.clustered ? 'CLUSTERED' : 'NONCLUSTERED'} (${formatIndexColumns(index)})`);
+        }
+    }
+    
+    for (const check of definition.checkConstraints) {
+        lines.push(`CONSTRAINT ${quoteIdentifier(check.name)} CHECK ${check.definition}`);
+    }
+    
+    return `CREATE TABLE ${quoteTableName(definition.name)} (\n    ${lines.join(',\n    ')}\n)`;
+}
+
+function generateIndexSQL(definition) {
+    const statements = definition.indexes
+        .filter(index => !index.primaryKey && !index.uniqueConstraint)
+        .sort((a, b) => Number(b.clustered) - Number(a.clustered))
+        .map(index => {
+            let statement = `CREATE ${index.unique ? 'UNIQUE ' : ''}${index.clustered ? 'CLUSTERED' : 'NONCLUSTERED'} INDEX ${quoteIdentifier(index.name)} ON ${quoteTableName(definition.name)} (${formatIndexColumns(index)})`;
+            if (index.includedColumns.length > 0) {
+                statement += ` INCLUDE (${index.includedColumns.map(quoteIdentifier).join(', ')})`;
+            }
+            if (index.filter) {
+                statement += ` WHERE ${index.filter}`;
+            }
+            return statement;
+        });
+        
+    for (const check of definition.checkConstraints) {
+        if (check.disabled) {
+            statements.push(`ALTER TABLE ${quoteTableName(definition.name)} NOCHECK CONSTRAINT ${quoteIdentifier(check.name)}`);
+        }
+    }
+    
+    return statements;
+}
+
+function generateForeignKeySQL(definition) {
+    return definition.foreignKeys.map(fk => {
+        const columns = fk.columns.map(quoteIdentifier).join(', ');
+        const referencedColumns = fk.referencedColumns.map(quoteIdentifier).join(', ');
+        return `ALTER TABLE ${quoteTableName(definition.name)} WITH CHECK ADD CONSTRAINT ${quoteIdentifier(fk.name)} FOREIGN KEY (${columns}) REFERENCES ${quoteTableName(fk.referencedTable)} (${referencedColumns}) ON DELETE ${fk.onDelete} ON UPDATE ${fk.onUpdate}`;
+    });
+}
+
+function mapDefinition(definition, schemaMap = {}) {
+    return {
+        ...definition,
+        name: mapTableName(definition.name, schemaMap),
+        foreignKeys: definition.foreignKeys.map(fk => ({
+            ...fk,
+            referencedTable: mapTableName(fk.referencedTable, schemaMap)
+        }))
+    };
+}
+
+module.exports = {
+    formatColumnType,
+    getTableDefinition,
+    mapDefinition,
+    generateCreateTableSQL,
+    generateAddColumnSQL,
+    generateAlterColumnSQL,
+    generateDropColumnSQL,
+    generateIndexSQL,
+    generateForeignKeySQL
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+const { transferOptions, recoveryOptions } = require('./config');
+const { restoreDatabase } = require('./restore-db');
+const { verifyDatabases } = require('./verifier');
+const { fixStructureIssues } = require('./structure-fixer');
+const { fixDatabaseIssues } = require('./fixer');
+const { createLogger, setLogContext } = require('./logger');
+
+const log = createLogger('disaster-recovery');
+
+const EXIT_CODES = {
+    RECOVERED: 0,
+    ISSUES_REMAIN: 1,
+    ABORTED: 2
+};
+
+function describeRestore(result) {
+    return `${result.transferred.toLocaleString()} rows copied, ${result.failedTables.length} incomplete tables, ${result.objects.failed + result.triggers.failed} failed objects`;
+}
+
+function describeVerification(result) {
+    const { matching, mismatched, errors, missingInTarget } = result.summary;
+    return `${matching} matching, ${mismatched} mismatched, ${errors} errors, ${missingInTarget} missing in target`;
+}
+
+function describeStructureFix(result) {
+    return `${result.tables.filter(table => table.reconciled).length}/${result.tables.length} tables reconciled`;
+}
+
+function describeRepair(result) {
+    return `${result.fixed} fixed, ${result.remaining} still failing`;
+}
+
+async function runPhase(report, name, operation, describe) {
+    log.info(`\n🚦 Phase: ${name}`);
+    log.info('─'.repeat(50));
+    const startTime = Date.now();
+    const phase = { name };
+    setLogContext({ phase: name });
+    
+    try {
+        const result = await operation();
+        phase.success = !result || result.success !== false;
+        phase.summary = result && describe ? describe(result) : 'completed';
+        phase.result = result;
+    } catch (error) {
+        phase.success = false;
+        phase.aborted = true;
+        phase.summary = error.message;
+    } finally {
+        setLogContext({ phase: null });
+    }
+    
+    phase.durationMs = Date.now() - startTime;
+    log.info(`⏱️  Phase ${name} ${phase.success ? 'completed' : 'failed'} in ${(phase.durationMs / 1000).toFixed(1)}s`, { phase: name, success: phase.success, durationMs: phase.durationMs });
+    report.phases.push(phase);
+    return phase;
+}
+
+function needsStructureFix(verification) {
+    return verification.result.results.some(result => result.issues.some(issue => issue.type === 'STRUCTURE'));
+}
+
+function printReport(report) {
+    log.info('\n📋 DISASTER RECOVERY REPORT');
+    log.info('═'.repeat(50));
+    
+    for (const phase of report.phases) {
+        const icon = phase.success ? '✅' : phase.aborted ? '💥' : '❌';
+        log.info(`${icon} ${phase.name} (${(phase.durationMs / 60000).toFixed(1)}min): ${phase.summary}`);
+    }
+    
+    log.info('═'.repeat(50));
+    log.info(`⏱️  Total time: ${(report.durationMs / 60000).toFixed(1)}min`);
+    
+    if (report.exitCode === EXIT_CODES.RECOVERED) {
+        log.info('🎉 RECOVERY COMPLETE: target verified against source');
+    } else if (report.exitCode === EXIT_CODES.ISSUES_REMAIN) {
+        log.info(`❌ RECOVERY INCOMPLETE: issues remain after ${report.repairRounds} repair rounds`);
+    } else {
+        log.info(`💥 RECOVERY ABORTED during ${report.phases[report.phases.length - 1].name}`);
+    }
+}
+
+async function runDisasterRecovery(options = {}) {
+    const {
+        resume = false,
+        maxRepairRounds = recoveryOptions.maxRepairRounds,
+        schemaMap = transferOptions.schemaMap
+    } = options;
+    const startTime = Date.now();
+    const report = { startedAt: new Date(startTime).toISOString(), phases: [], repairRounds: 0 };
+    
+    const finish = exitCode => {
+        report.exitCode = exitCode;
+        report.success = exitCode === EXIT_CODES.RECOVERED;
+        report.durationMs = Date.now() - startTime;
+        printReport(report);
+        return report;
+    };
+    
+    const restore = await runPhase(report, 'restore', () => restoreDatabase({ resume }), describeRestore);
+    if (restore.aborted) {
+        return finish(EXIT_CODES.ABORTED);
+    }
+    
+    let verification = await runPhase(report, 'verify', () => verifyDatabases({ schemaMap }), describeVerification);
+    if (verification.aborted) {
+        return finish(EXIT_CODES.ABORTED);
+    }
+    
+    if (!verification.success && needsStructureFix(verification)) {
+        const structure = await runPhase(report, 'structure fixes', () => fixStructureIssues({ schemaMap }), describeStructureFix);
+        if (structure.aborted) {
+            return finish(EXIT_CODES.ABORTED);
+        }
+    }
+    
+    if (verification.success) {
+        return finish(EXIT_CODES.RECOVERED);
+    }
+    
+    for (let round = 1; round <= maxRepairRounds; round++) {
+        report.repairRounds = round;
+        const repair = await runPhase(report, `repair round ${round}/${maxRepairRounds}`, () => fixDatabaseIssues({ schemaMap }), describeRepair);
+        
+        if (repair.aborted || repair.success) {
+            break;
+        }
+        if (repair.result.fixed === 0) {
+            log.warn('⚠️  Repair round fixed nothing, stopping repairs');
+            break;
+        }
+    }
+    
+    verification = await runPhase(report, 'final verify', () => verifyDatabases({ schemaMap }), describeVerification);
+    if (verification.aborted) {
+        return finish(EXIT_CODES.ABORTED);
+    }
+    
+    return finish(verification.success ? EXIT_CODES.RECOVERED : EXIT_CODES.ISSUES_REMAIN);
+}
+
+if (require.main === module) {
+    runDisasterRecovery({ resume: process.argv.includes('--resume') })
+        .then(report => {
+            process.exit(report.exitCode);
+        })
+        .catch(error => {
+            log.error(`Disaster recovery failed: ${error.message}`, { error: error.message });
+            process.exit(EXIT_CODES.ABORTED);
+        });
+}
+
+module.exports = { runDisasterRecovery, EXIT_CODES };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const sql = require('mssql');
+const fs = require('fs');
+const path = require('path');
+const { sourceConfig, transferOptions, validateConfig } = require('./config');
+const { formatProgress, filterObjects } = require('./utils');
+const { getTableList, getTableSchema, getPagingKey, readBatches, getTableRowCounts, getInsertableColumns, getIdentityCurrent, getProgrammableObjects, getObjectDependencies } = require('./database');
+const { getTableDefinition, generateCreateTableSQL, generateIndexSQL, generateForeignKeySQL } = require('./ddl');
+const { filterProgrammableObjects } = require('./transfer');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION, MANIFEST_FILE, OBJECTS_FILE, getTableFiles, getExactColumns, encodeArchiveRow, writeJsonFile, createDataWriter, resolveArchiveFile } = require('./archive');
+const { createLogger } = require('./logger');
+
+const log = createLogger('export');
+
+function getDefaultArchivePath(config) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.resolve(process.env.EXPORT_DIR || 'exports', `${config.database}-${timestamp}`);
+}
+
+async function exportTableData(sourcePool, table, schema, filePath, options) {
+    const { batchSize, total } = options;
+    const columns = getInsertableColumns(schema);
+    const exactColumns = getExactColumns(columns);
+    const pagingKey = await getPagingKey(sourcePool, table, schema);
+    const writer = createDataWriter(filePath);
+    let exported = 0;
+    
+    try {
+        for await (const batch of readBatches(sourcePool, table, pagingKey, { batchSize, extraColumns: exactColumns.map(col => col.select) })) {
+            for (const row of batch.rows) {
+                await writer.write(encodeArchiveRow(row, columns, exactColumns));
+            }
+            
+            exported += batch.rows.length;
+            
+            const percentage = total > 0 ? Math.min((exported / total) * 100, 100) : 100;
+            log.debug(`   📦 ${table}: ${formatProgress(exported, total, percentage)}`, { table, offset: exported - batch.rows.length, rows: batch.rows.length });
+        }
+    } catch (error) {
+        await writer.close().catch(() => {});
+        throw error;
+    }
+    
+    return writer.close();
+}
+
+async function exportTable(sourcePool, archivePath, table, options) {
+    const schema = await getTableSchema(sourcePool, table);
+    const definition = await getTableDefinition(sourcePool, table);
+    const { schemaFile, dataFile } = getTableFiles(table);
+    
+    const schemaSha256 = writeJsonFile(resolveArchiveFile(archivePath, schemaFile), {
+        name: table,
+        columns: schema,
+        definition,
+        identityCurrent: schema.some(col => col.IS_IDENTITY) ? await getIdentityCurrent(sourcePool, table) : null,
+        ddl: [generateCreateTableSQL(definition), ...generateIndexSQL(definition), ...generateForeignKeySQL(definition)]
+    });
+    
+    const data = await exportTableData(sourcePool, table, schema, resolveArchiveFile(archivePath, dataFile), options);
+    
+    return {
+        name: table,
+        schemaFile,
+        schemaSha256,
+        dataFile,
+        rows: data.rows,
+        sha256: data.sha256,
+        bytes: data.bytes
+    };
+}
+
+async function exportProgrammableObjects(sourcePool, archivePath, filter) {
+    const objects = filterProgrammableObjects(await getProgrammableObjects(sourcePool), filter);
+    let dependencies = [];
+    
+    try {
+        dependencies = await getObjectDependencies(sourcePool);
+    } catch (error) {
+        log.warn(`⚠️  Could not read object dependencies, the archive will not include them: ${error.message}`);
+    }
+    
+    const sha256 = writeJsonFile(resolveArchiveFile(archivePath, OBJECTS_FILE), { objects, dependencies });
+    const skipped = objects.filter(object => !object.definition).length;
+    
+    log.info(`✅ Exported ${objects.length - skipped} programmable objects${skipped > 0 ? ` (${skipped} encrypted definitions skipped)` : ''}`);
+    return { file: OBJECTS_FILE, count: objects.length, sha256 };
+}
+
+async function exportDatabase(options = {}) {
+    const { batchSize = transferOptions.batchSize, filter = transferOptions.filter } = options;
+    let sourcePool;
+    
+    try {
+        validateConfig(sourceConfig, 'source');
+        
+        const archivePath = options.archivePath ? path.resolve(options.archivePath) : getDefaultArchivePath(sourceConfig);
+        if (fs.existsSync(path.join(archivePath, MANIFEST_FILE))) {
+            throw new Error(`${archivePath} already contains an export archive`);
+        }
+        
+        fs.mkdirSync(path.join(archivePath, 'schema'), { recursive: true });
+        fs.mkdirSync(path.join(archivePath, 'data'), { recursive: true });
+        
+        log.info('🔌 Connecting to source database...');
+        sourcePool = await sql.connect(sourceConfig);
+        log.info('✅ Connected to source database');
+        
+        const startedAt = new Date().toISOString();
+        const tables = filterObjects(await getTableList(sourcePool), filter);
+        const rowCounts = await getTableRowCounts(sourcePool);
+        log.info(`📋 Exporting ${tables.length} tables to ${archivePath}`);
+        
+        const tableEntries = [];
+        const failedTables = [];
+        
+        for (const table of tables) {
+            try {
+                const entry = await exportTable(sourcePool, archivePath, table, { batchSize, total: rowCounts.get(table) || 0 });
+                tableEntries.push(entry);
+                log.info(`✅ Exported ${table}: ${entry.rows.toLocaleString()} rows`);
+            } catch (error) {
+                failedTables.push({ table, error: error.message });
+                log.error(`❌ Error exporting table ${table}: ${error.message}`, { error: error.message });
+            }
+        }
+        
+        const objects = await exportProgrammableObjects(sourcePool, archivePath, filter);
+        
+        if (failedTables.length > 0) {
+            throw new Error(`${failedTables.length} tables could not be exported (${failedTables.map(failure => failure.table).join(', ')}), no manifest was written`);
+        }
+        
+        const manifest = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            source: {
+                server: sourceConfig.server,
+                database: sourceConfig.database
+            },
+            startedAt,
+            completedAt: new Date().toISOString(),
+            totalRows: tableEntries.reduce((sum, entry) => sum + entry.rows, 0),
+            tables: tableEntries,
+            objects
+        };
+        writeJsonFile(path.join(archivePath, MANIFEST_FILE), manifest);
+        
+        log.info(`🎉 Export completed: ${tableEntries.length} tables, ${manifest.totalRows.toLocaleString()} rows written to ${archivePath}`);
+        return { archivePath, manifest };
+        
+    } catch (error) {
+        log.error(`💥 Database export failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (sourcePool) {
+            await sourcePool.close();
+            log.info('🔌 Source database connection closed');
+        }
+    }
+}
+
+if (require.main === module) {
+    exportDatabase({ archivePath: process.argv[2] })
+        .then(() => {
+            process.exit(0);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
+}
+
+module.exports = { exportDatabase };
\ No newline at end of file
@@ -1,162 +1,192 @@
 const sql = require('mssql');
-const { sourceConfig, targetConfig } = require('./config');
-const { getTableList, getTableSchema, bulkInsertData } = require('./database');
-const { executeWithRetry, formatProgress, calculateETA } = require('./utils');
+const { sourceConfig, targetConfig, transferOptions, structureOptions, backupOptions, validateConfig } = require('./config');
+const { getTableList, sumTableRows, getTableSchema, getPagingKey, readBatches, deleteKeyRange, getInsertableColumns, bulkInsertData, reseedIdentity, withTableTriggersDisabled } = require('./database');
+const { getTableDefinition, mapDefinition, generateCreateTableSQL, generateIndexSQL } = require('./ddl');
+const { executeWithRetry, formatProgress, calculateETA, quoteIdentifier, quoteTableName, mapTableName, filterObjects, formatKeyRange } = require('./utils');
 const { verifyTableData } = require('./verifier');
+const { reconcileTableStructure } = require('./reconciler');
+const { loadLedger, needsBackup, runWithBackup } = require('./backups');
+const { planFix } = require('./plan');
+const { assertSafeTarget } = require('./safety');
+const { writeReports } = require('./report');
+const { createLogger } = require('./logger');
 
-async function fixTableStructure(sourcePool, targetPool, tableName) {
-    console.log(`🔧 Fixing table structure: ${tableName}`);
+const log = createLogger('fixer');
+
+async function fixTableStructure(sourcePool, targetPool, tableName, options = {}) {
+    log.info(`🔧 Fixing table structure: ${tableName}`);
+    
+    if (!options.recreate) {
+        return reconcileTableStructure(sourcePool, targetPool, tableName, options);
+    }
     
     try {
-        const sourceSchema = await getTableSchema(sourcePool, tableName);
-        const targetSchema = await getTableSchema(targetPool, tableName);
-        
-        console.log(`   📋 Recreating table ${tableName} with correct schema...`);
+        const definition = mapDefinition(await getTableDefinition(sourcePool, tableName), options.schemaMap);
+        const targetTable = definition.name;
         
-        await targetPool.request().query(`DROP TABLE IF EXISTS [${tableName}_backup]`);
-        await targetPool.request().query(`SELECT * INTO [${tableName}_backup] FROM [${tableName}]`);
-        console.log(`   💾 Backed up existing data to ${tableName}_backup`);
+        log.info(`   📋 Recreating table ${tableName} with correct schema...`);
         
-        await targetPool.request().query(`DROP TABLE [${tableName}]`);
+        if (options.beforeApply) {
+            await options.beforeApply([{ action: 'DROP_TABLE', table: targetTable }]);
+        }
+        await targetPool.request().query(`DROP TABLE ${quoteTableName(targetTable)}`);
         
-        const createTableSQL = generateCreateTableSQL(tableName, sourceSchema);
-        await targetPool.request().query(createTableSQL);
-        console.log(`   🔨 Recreated table with correct structure`);
+        await targetPool.request().query(generateCreateTableSQL(definition));
+        for (const statement of generateIndexSQL(definition)) {
+            await targetPool.request().query(statement);
+        }
+        log.info(`   🔨 Recreated table with correct structure`);
         
-        return true;
+        return { table: tableName, targetTable, changes: [], reconciled: true };
         
     } catch (error) {
-        console.error(`   ❌ Failed to fix table structure for ${tableName}:`, error.message);
+        log.error(`   ❌ Failed to fix table structure for ${tableName}: ${error.message}`, { error: error.message });
         throw error;
     }
 }
 
-function generateCreateTableSQL(tableName, schema) {
-    const columns = schema.map(col => {
-        let columnDef = `[${col.COLUMN_NAME}] ${col.DATA_TYPE}`;
-        
-        if (col.CHARACTER_MAXIMUM_LENGTH && col.CHARACTER_MAXIMUM_LENGTH > 0) {
-            columnDef += `(${col.CHARACTER_MAXIMUM_LENGTH})`;
-        } else if (col.DATA_TYPE === 'decimal' || col.DATA_TYPE === 'numeric') {
-            if (col.NUMERIC_PRECISION && col.NUMERIC_SCALE !== null) {
-                columnDef += `(${col.NUMERIC_PRECISION},${col.NUMERIC_SCALE})`;
-            }
-        } else if (col.DATA_TYPE === 'varchar' || col.DATA_TYPE === 'nvarchar') {
-            if (col.CHARACTER_MAXIMUM_LENGTH === -1) {
-                columnDef += '(MAX)';
-            } else if (!col.CHARACTER_MAXIMUM_LENGTH) {
-                columnDef += '(255)';
-            }
-        }
-        
-        if (col.IS_NULLABLE === 'NO') {
-            columnDef += ' NOT NULL';
-        }
-        
-        return columnDef;
-    }).join(',\n    ');
+async function retransferTableData(sourcePool, targetPool, tableName, options = {}) {
+    log.info(`🔄 Re-transferring data for: ${tableName}`);
     
-    return `CREATE TABLE [${tableName}] (\n    ${columns}\n)`;
-}
-
-async function retransferTableData(sourcePool, targetPool, tableName) {
-    console.log(`🔄 Re-transferring data for: ${tableName}`);
+    const targetTable = mapTableName(tableName, options.schemaMap);
     
     try {
-        await targetPool.request().query(`DELETE FROM [${tableName}]`);
-        console.log(`   🧹 Cleared target table: ${tableName}`);
+        await targetPool.request().query(`DELETE FROM ${quoteTableName(targetTable)}`);
+        log.info(`   🧹 Cleared target table: ${targetTable}`);
         
         const schema = await getTableSchema(sourcePool, tableName);
-        const countResult = await sourcePool.request().query(`SELECT COUNT(*) as total FROM [${tableName}]`);
+        const countResult = await sourcePool.request().query(`SELECT COUNT(*) as total FROM ${quoteTableName(tableName)}`);
         const totalRows = countResult.recordset[0].total;
         
         if (totalRows === 0) {
-            console.log(`   ℹ️  Table ${tableName} is empty, skipping data transfer`);
+            log.info(`   ℹ️  Table ${tableName} is empty, skipping data transfer`);
+            await reseedIdentity(sourcePool, targetPool, tableName, targetTable);
             return;
         }
         
-        console.log(`   📊 Transferring ${totalRows.toLocaleString()} rows`);
+        log.info(`   📊 Transferring ${totalRows.toLocaleString()} rows`);
         
         const BATCH_SIZE = 5000;
-        let offset = 0;
+        const pagingKey = await getPagingKey(sourcePool, tableName, schema);
+        let readCount = 0;
         let insertedCount = 0;
         const startTime = Date.now();
+        let batchStartTime = startTime;
         
-        while (offset < totalRows) {
-            try {
-                const sourceData = await executeWithRetry(async () => {
-                    return await sourcePool.request().query(`
-                        SELECT * FROM [${tableName}]
-                        ORDER BY (SELECT NULL)
-                        OFFSET ${offset} ROWS
-                        FETCH NEXT ${BATCH_SIZE} ROWS ONLY
-                    `);
-                });
-                
-                if (sourceData.recordset.length > 0) {
+        await withTableTriggersDisabled(targetPool, targetTable, async () => {
+            for await (const sourceData of readBatches(sourcePool, tableName, pagingKey, { batchSize: BATCH_SIZE })) {
+                try {
                     await executeWithRetry(async () => {
-                        await bulkInsertData(targetPool, tableName, schema, sourceData.recordset);
+                        await bulkInsertData(targetPool, targetTable, schema, sourceData.rows);
                     });
                     
-                    insertedCount += sourceData.recordset.length;
-                    const progress = (insertedCount / totalRows) * 100;
-                    const avgRowsPerSecond = insertedCount / ((Date.now() - startTime) / 1000);
-                    const etaMinutes = calculateETA(insertedCount, totalRows, startTime);
+                    insertedCount += sourceData.rows.length;
+                    
+                } catch (error) {
+                    log.error(`   ❌ Error transferring batch at row ${readCount}: ${error.message}`, { table: tableName, offset: readCount, rows: sourceData.rows.length, error: error.message });
                     
-                    if (insertedCount % 25000 === 0 || insertedCount === totalRows) {
-                        console.log(`   🚀 ${formatProgress(insertedCount, totalRows, progress)} | Speed: ${Math.round(avgRowsPerSecond).toLocaleString()} rows/sec | ETA: ${etaMinutes}min`);
+                    if (error.message.includes('OLE DB') || error.message.includes('invalid data') || error.message.includes('Invalid column type')) {
+                        log.info(`   🔧 Trying individual row insertion for problematic batch...`);
+                        const successCount = await transferBatchIndividually(targetPool, targetTable, schema, sourceData.rows);
+                        insertedCount += successCount;
+                    } else {
+                        throw error;
                     }
                 }
                 
-                offset += BATCH_SIZE;
+                readCount += sourceData.rows.length;
                 
-            } catch (error) {
-                console.error(`   ❌ Error transferring batch at offset ${offset}:`, error.message);
+                const progress = (readCount / totalRows) * 100;
+                const avgRowsPerSecond = insertedCount / ((Date.now() - startTime) / 1000);
+                const etaMinutes = calculateETA(readCount, totalRows, startTime);
                 
-                if (error.message.includes('OLE DB') || error.message.includes('invalid data') || error.message.includes('Invalid column type')) {
-                    console.log(`   🔧 Trying individual row insertion for problematic batch...`);
-                    const actualBatchSize = Math.min(BATCH_SIZE, totalRows - offset);
-                    const successCount = await transferBatchIndividually(sourcePool, targetPool, tableName, schema, offset, actualBatchSize);
-                    insertedCount += successCount;
-                    offset += BATCH_SIZE;
-                } else {
-                    throw error;
+                if (readCount % 25000 === 0 || sourceData.rows.length < BATCH_SIZE) {
+                    log.info(`   🚀 ${formatProgress(readCount, totalRows, progress)} | Speed: ${Math.round(avgRowsPerSecond).toLocaleString()} rows/sec | ETA: ${etaMinutes}min`);
                 }
+                log.debug(`   📦 Batch at row ${(readCount - sourceData.rows.length).toLocaleString()}: ${sourceData.rows.length.toLocaleString()} rows`, {
+                    table: tableName,
+                    offset: readCount - sourceData.rows.length,
+                    rows: sourceData.rows.length,
+                    durationMs: Date.now() - batchStartTime
+                });
+                batchStartTime = Date.now();
             }
-        }
+        });
+        
+        await reseedIdentity(sourcePool, targetPool, tableName, targetTable);
         
         const transferTime = (Date.now() - startTime) / 1000;
-        console.log(`   ✅ Re-transfer completed: ${insertedCount.toLocaleString()} rows in ${transferTime.toFixed(1)}s`);
+        log.info(`   ✅ Re-transfer completed: ${insertedCount.toLocaleString()} rows in ${transferTime.toFixed(1)}s`, { table: tableName, rows: insertedCount, durationMs: Date.now() - startTime });
         
     } catch (error) {
-        console.error(`   ❌ Failed to re-transfer table ${tableName}:`, error.message);
+        log.error(`   ❌ Failed to re-transfer table ${tableName}: ${error.message}`, { table: tableName, error: error.message });
         throw error;
     }
 }
 
-async function transferBatchIndividually(sourcePool, targetPool, tableName, schema, offset, batchSize) {
-    console.log(`   🐌 Transferring ${batchSize} rows individually using INSERT statements...`);
+async function retransferKeyRanges(sourcePool, targetPool, tableName, located, options = {}) {
+    const targetTable = mapTableName(tableName, options.schemaMap);
+    log.info(`🎯 Re-transferring ${located.ranges.length} mismatched key ranges of ${tableName}`);
+    
+    const BATCH_SIZE = 5000;
+    const schema = await getTableSchema(sourcePool, tableName);
+    const pagingKey = await getPagingKey(sourcePool, tableName, schema);
+    let insertedCount = 0;
+    
+    await withTableTriggersDisabled(targetPool, targetTable, async () => {
+        for (let i = 0; i < located.ranges.length; i++) {
+            const range = located.ranges[i];
+            let removedRows = 0;
+            let rangeInserted = 0;
+            
+            // The range is cleared and reloaded in one transaction, so a failed reload leaves its old rows in place
+            const transaction = new sql.Transaction(targetPool);
+            await transaction.begin();
+            
+            try {
+                removedRows = await deleteKeyRange(transaction, targetTable, pagingKey, range.afterKey, range.upToKey);
+                for await (const sourceData of readBatches(sourcePool, tableName, pagingKey, { afterKey: range.afterKey, upToKey: range.upToKey, batchSize: BATCH_SIZE })) {
+                    await bulkInsertData(transaction, targetTable, schema, sourceData.rows);
+                    rangeInserted += sourceData.rows.length;
+                }
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback().catch(() => {});
+                throw error;
+            }
+            
+            insertedCount += rangeInserted;
+            log.info(`   ✅ [${i + 1}/${located.ranges.length}] ${formatKeyRange(range)}: removed ${removedRows.toLocaleString()}, inserted ${rangeInserted.toLocaleString()} rows`, { table: tableName, range: formatKeyRange(range), rows: rangeInserted });
+        }
+    });
     
-    const sourceData = await sourcePool.request().query(`
-        SELECT * FROM [${tableName}]
-        ORDER BY (SELECT NULL)
-        OFFSET ${offset} ROWS
-        FETCH NEXT ${batchSize} ROWS ONLY
-    `);
+    await reseedIdentity(sourcePool, targetPool, tableName, targetTable);
+    log.info(`   ✅ Range re-transfer completed: ${insertedCount.toLocaleString()} rows`);
+}
+
+function canRetransferRanges(verification) {
+    return Boolean(verification.ranges && verification.ranges.ranges.length > 0) &&
+        !verification.issues.some(issue => issue.type === 'STRUCTURE');
+}
+
+async function transferBatchIndividually(targetPool, tableName, schema, rows) {
+    log.info(`   🐌 Transferring ${rows.length} rows individually using INSERT statements...`);
     
+    const columns = getInsertableColumns(schema);
+    const hasIdentity = columns.some(col => col.IS_IDENTITY);
     let successCount = 0;
     
-    for (const row of sourceData.recordset) {
+    for (const row of rows) {
         try {
-            const columnNames = Object.keys(row).map(col => `[${col}]`).join(', ');
-            const values = Object.entries(row).map(([key, value]) => {
-                const column = schema.find(c => c.COLUMN_NAME === key);
+            const columnNames = columns.map(col => quoteIdentifier(col.COLUMN_NAME)).join(', ');
+            const values = columns.map(column => {
+                const value = row[column.COLUMN_NAME];
                 
                 if (value === null || value === undefined) {
                     return 'NULL';
                 }
                 
-                if (column && ['datetime', 'datetime2', 'smalldatetime'].includes(column.DATA_TYPE.toLowerCase())) {
+                if (['datetime', 'datetime2', 'smalldatetime'].includes(column.DATA_TYPE.toLowerCase())) {
                     if (value instanceof Date) {
                         return `'${value.toISOString().slice(0, 19).replace('T', ' ')}'`;
                     } else if (typeof value === 'string') {
@@ -188,39 +218,57 @@ async function transferBatchIndividually(sourcePool, targetPool, tableName, sche
                 return value;
             }).join(', ');
             
-            await targetPool.request().query(`
-                INSERT INTO [${tableName}] (${columnNames})
-                VALUES (${values})
-            `);
-            
+            const insertStatement = `INSERT INTO ${quoteTableName(tableName)} (${columnNames}) VALUES (${values})`;
+            await targetPool.request().query(hasIdentity
+                ? `SET IDENTITY_INSERT ${quoteTableName(tableName)} ON; ${insertStatement}; SET IDENTITY_INSERT ${quoteTableName(tableName)} OFF;`
+                : insertStatement);
+                
             successCount++;
             
         } catch (error) {
-            console.error(`   ⚠️  Failed to insert individual row, skipping: ${error.message.substring(0, 100)}`);
+            log.warn(`   ⚠️  Failed to insert individual row, skipping: ${error.message.substring(0, 100)}`, { table: tableName, error: error.message });
         }
     }
     
-    console.log(`   ✅ Individual transfer: ${successCount}/${sourceData.recordset.length} rows successful`);
+    log.info(`   ✅ Individual transfer: ${successCount}/${rows.length} rows successful`);
     return successCount;
 }
 
-async function fixDatabaseIssues() {
+async function fixDatabaseIssues(options = {}) {
+    const {
+        schemaMap = transferOptions.schemaMap,
+        filter = transferOptions.filter,
+        dryRun = false,
+        recreate = structureOptions.recreate,
+        dropColumns = structureOptions.dropColumns,
+        approveDataLoss = structureOptions.approveDataLoss,
+        skipBackup = backupOptions.skip
+    } = options;
+    const startTime = Date.now();
     let sourcePool, targetPool;
     
+    if (dryRun) {
+        return planFix({ schemaMap, filter, recreate, dropColumns, approveDataLoss, skipBackup });
+    }
+    
     try {
-        console.log('🔌 Connecting to databases for fixing...');
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        const ledger = skipBackup ? null : loadLedger();
+        
+        log.info('🔌 Connecting to databases for fixing...');
         sourcePool = await sql.connect(sourceConfig);
         targetPool = new sql.ConnectionPool(targetConfig);
         await targetPool.connect();
-        console.log('✅ Connected to both databases');
+        log.info('✅ Connected to both databases');
         
-        console.log('🔍 Identifying issues...');
-        const tables = await getTableList(sourcePool);
+        log.info('🔍 Identifying issues...');
+        const tables = filterObjects(await getTableList(sourcePool), filter);
         const problematicTables = [];
         
         for (const table of tables) {
             try {
-                const verification = await verifyTableData(sourcePool, targetPool, table);
+                const verification = await verifyTableData(sourcePool, targetPool, table, { schemaMap, locateRanges: true });
                 if (verification.status !== 'MATCH') {
                     problematicTables.push({
                         table,
@@ -228,88 +276,147 @@ async function fixDatabaseIssues() {
                     });
                 }
             } catch (error) {
-                console.error(`Error verifying ${table}:`, error.message);
+                log.error(`Error verifying ${table}: ${error.message}`, { error: error.message });
             }
         }
         
-        console.log(`\n🔧 Found ${problematicTables.length} tables with issues`);
+        log.info(`\n🔧 Found ${problematicTables.length} tables with issues`);
+        
+        if (problematicTables.length > 0) {
+            const rangeRows = problematicTables
+                .filter(({ verification }) => canRetransferRanges(verification))
+                .reduce((sum, { verification }) => sum + verification.ranges.ranges.reduce((rows, range) => rows + range.targetRows, 0), 0);
+            const affectedTables = problematicTables
+                .filter(({ verification }) => !canRetransferRanges(verification))
+                .map(({ table }) => mapTableName(table, schemaMap));
+            const rowsToDelete = rangeRows + await sumTableRows(targetPool, affectedTables);
+            await assertSafeTarget(targetPool, { sourcePool, rowsToDelete, action: 'Fixing the target' });
+        }
         
         for (let i = 0; i < problematicTables.length; i++) {
-            const { table, verification } = problematicTables[i];
-            console.log(`\n[${i + 1}/${problematicTables.length}] Fixing table: ${table}`);
+            const problem = problematicTables[i];
+            const { table } = problem;
+            let { verification } = problem;
+            const fixStartTime = Date.now();
+            problem.actions = [];
+            log.info(`\n[${i + 1}/${problematicTables.length}] Fixing table: ${table}`);
             
-            const hasStructureIssues = verification.issues.some(issue => issue.type === 'STRUCTURE');
-            const hasDataIssues = verification.issues.some(issue => 
-                issue.type === 'ROW_COUNT' || issue.type === 'DATA_CHECKSUM'
-            );
-            
-            if (hasStructureIssues) {
-                console.log(`   📋 Fixing structure issues...`);
-                await fixTableStructure(sourcePool, targetPool, table);
-            }
+            await runWithBackup(targetPool, ledger, mapTableName(table, schemaMap), { source: table, command: 'fix' }, async backups => {
+                problem.backups = backups;
+                
+                if (verification.issues.some(issue => issue.type === 'STRUCTURE')) {
+                    log.info(`   📋 Fixing structure issues...`);
+                    problem.structure = await fixTableStructure(sourcePool, targetPool, table, {
+                        schemaMap,
+                        recreate,
+                        dropColumns,
+                        approveDataLoss,
+                        beforeApply: changes => needsBackup(changes) ? backups.take() : null
+                    });
+                    problem.actions.push(recreate ? 'RECREATE_TABLE' : 'ALTER_TABLE');
+                    
+                    if (problem.structure.changes.some(change => change.status === 'FAILED') &&
+                        await backups.rollback(`Structure changes to ${problem.structure.targetTable} failed`)) {
+                        return;
+                    }
+                    
+                    // Checksums are skipped while the structure differs, so the data is compared again on the new structure
+                    verification = await verifyTableData(sourcePool, targetPool, table, { schemaMap, locateRanges: true });
+                }
+                
+                const hasDataIssues = verification.issues.some(issue => 
+                    issue.type === 'ROW_COUNT' || issue.type === 'DATA_CHECKSUM'
+                );
+                
+                if (hasDataIssues && canRetransferRanges(verification)) {
+                    await backups.take({ ranges: verification.ranges.ranges });
+                    await retransferKeyRanges(sourcePool, targetPool, table, verification.ranges, { schemaMap });
+                    problem.actions.push('RETRANSFER_RANGES');
+                } else if (hasDataIssues) {
+                    await backups.take();
+                    await retransferTableData(sourcePool, targetPool, table, { schemaMap });
+                    problem.actions.push('RETRANSFER_TABLE');
+                }
+            });
             
-            if (hasDataIssues) {
-                await retransferTableData(sourcePool, targetPool, table);
-            }
+            problem.durationMs = Date.now() - fixStartTime;
         }
         
-        console.log('\n🔍 Running final verification...');
+        log.info('\n🔍 Running final verification...');
         const finalResults = [];
         let fixedCount = 0;
         
-        for (const { table } of problematicTables) {
-            const verification = await verifyTableData(sourcePool, targetPool, table);
-            finalResults.push(verification);
+        for (const problem of problematicTables) {
+            const { table } = problem;
+            const verification = await verifyTableData(sourcePool, targetPool, table, { schemaMap });
+            const { backups } = problem;
             
             if (verification.status === 'MATCH') {
                 fixedCount++;
-                console.log(`✅ ${table}: FIXED`);
+                log.info(`✅ ${table}: FIXED`);
             } else {
-                console.log(`❌ ${table}: STILL HAS ISSUES`);
+                log.info(`❌ ${table}: STILL HAS ISSUES`);
                 verification.issues.forEach(issue => {
-                    console.log(`   - ${issue.type}: ${issue.message}`);
+                    log.info(`   - ${issue.type}: ${issue.message}`);
                 });
+                await backups.rollback(`${table} still fails verification`);
             }
+            
+            finalResults.push({
+                ...verification,
+                fix: {
+                    actions: problem.actions,
+                    durationMs: problem.durationMs,
+                    issuesBefore: problem.verification.issues,
+                    backupTable: backups.backup ? backups.backup.backupTable : null,
+                    rolledBack: backups.rolledBack,
+                    structureChanges: problem.structure ? problem.structure.changes : undefined
+                }
+            });
         }
         
-        console.log('\n📊 FIX SUMMARY');
-        console.log('═'.repeat(50));
-        console.log(`✅ Fixed tables: ${fixedCount}`);
-        console.log(`❌ Still problematic: ${problematicTables.length - fixedCount}`);
-        console.log(`📋 Total processed: ${problematicTables.length}`);
+        log.info('\n📊 FIX SUMMARY');
+        log.info('═'.repeat(50));
+        log.info(`✅ Fixed tables: ${fixedCount}`);
+        log.info(`❌ Still problematic: ${problematicTables.length - fixedCount}`);
+        log.info(`📋 Total processed: ${problematicTables.length}`);
         
         const overallSuccess = fixedCount === problematicTables.length;
-        console.log(`\n${overallSuccess ? '🎉 ALL ISSUES FIXED' : '⚠️  SOME ISSUES REMAIN'}`);
+        log.info(`\n${overallSuccess ? '🎉 ALL ISSUES FIXED' : '⚠️  SOME ISSUES REMAIN'}`);
         
-        return {
+        const fixResult = {
             success: overallSuccess,
             fixed: fixedCount,
             remaining: problematicTables.length - fixedCount,
+            durationMs: Date.now() - startTime,
             results: finalResults
         };
+        fixResult.reports = writeReports('fix', fixResult);
+        
+        return fixResult;
         
     } catch (error) {
-        console.error('💥 Fix operation failed:', error.message);
+        log.error(`💥 Fix operation failed: ${error.message}`, { error: error.message });
         throw error;
     } finally {
         if (sourcePool) {
             await sourcePool.close();
-            console.log('🔌 Source database connection closed');
+            log.info('🔌 Source database connection closed');
         }
         if (targetPool) {
             await targetPool.close();
-            console.log('🔌 Target database connection closed');
+            log.info('🔌 Target database connection closed');
         }
     }
 }
 
 if (require.main === module) {
-    fixDatabaseIssues()
+    fixDatabaseIssues({ dryRun: process.argv.includes('--dry-run') })
         .then(result => {
             process.exit(result.success ? 0 : 1);
         })
         .catch(error => {
-            console.error('Fixer failed:', error.message);
+            log.error(`Fixer failed: ${error.message}`, { error: error.message });
             process.exit(1);
         });
 }
@@ -317,5 +424,6 @@ if (require.main === module) {
 module.exports = {
     fixDatabaseIssues,
     retransferTableData,
+    retransferKeyRanges,
     fixTableStructure
 };
\ No newline at end of file
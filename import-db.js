@@ -0,0 +1,201 @@
+const sql = require('mssql');
+const path = require('path');
+const { targetConfig, transferOptions, validateConfig } = require('./config');
+const { executeWithRetry, quoteTableName, matchesFilter, filterObjects } = require('./utils');
+const { getTableList, sumTableRows, createTableIfNotExists, createMissingIndexes, bulkInsertData, setIdentitySeed, clearTargetDatabase, getForeignKeys, orderTablesByForeignKeys, getCycleForeignKeys, reportForeignKeyCycles, setForeignKeysEnabled, withTableTriggersDisabled } = require('./database');
+const { mapDefinition, generateForeignKeySQL } = require('./ddl');
+const { createProgrammableObjects, filterProgrammableObjects } = require('./transfer');
+const { assertSafeTarget } = require('./safety');
+const { getDecimalTextColumns, decodeArchiveRecord, resolveArchiveFile, readJsonFile, readDataFile, verifyArchive } = require('./archive');
+const { createLogger } = require('./logger');
+
+const log = createLogger('import');
+
+async function countRows(pool, tableName) {
+    const result = await pool.request().query(`SELECT COUNT_BIG(*) AS row_count FROM ${quoteTableName(tableName)}`);
+    return Number(result.recordset[0].row_count);
+}
+
+async function importTableData(targetPool, archivePath, entry, tableSchema, targetTable, batchSize) {
+    const textColumns = getDecimalTextColumns(tableSchema.columns);
+    let batch = [];
+    let imported = 0;
+    
+    const flush = async () => {
+        const rows = batch;
+        batch = [];
+        await executeWithRetry(() => bulkInsertData(targetPool, targetTable, tableSchema.columns, rows, { textColumns }));
+        imported += rows.length;
+        log.debug(`   📥 ${targetTable}: ${imported.toLocaleString()}/${entry.rows.toLocaleString()} rows`, { table: targetTable, offset: imported - rows.length, rows: rows.length });
+    };
+    
+    const data = await readDataFile(resolveArchiveFile(archivePath, entry.dataFile), async record => {
+        batch.push(decodeArchiveRecord(record, tableSchema.columns));
+        if (batch.length >= batchSize) {
+            await flush();
+        }
+    });
+    
+    if (batch.length > 0) {
+        await flush();
+    }
+    
+    return data;
+}
+
+function readTableSchemas(archivePath, entries, schemaMap) {
+    return entries.map(entry => {
+        const tableSchema = readJsonFile(resolveArchiveFile(archivePath, entry.schemaFile)).data;
+        return { entry, tableSchema, definition: mapDefinition(tableSchema.definition, schemaMap) };
+    });
+}
+
+function getArchivedForeignKeys(tables) {
+    return tables.flatMap(({ definition }) => definition.foreignKeys.map(fk => ({
+        TABLE_NAME: definition.name,
+        CONSTRAINT_NAME: fk.name,
+        REFERENCED_TABLE_NAME: fk.referencedTable
+    })));
+}
+
+async function importTable(targetPool, archivePath, table, options) {
+    const { batchSize } = options;
+    const { entry, tableSchema, definition } = table;
+    
+    await createTableIfNotExists(targetPool, definition.name, definition, { indexes: false });
+    
+    const data = await withTableTriggersDisabled(targetPool, definition.name, () => importTableData(targetPool, archivePath, entry, tableSchema, definition.name, batchSize));
+    if (data.rows !== entry.rows || data.sha256 !== entry.sha256) {
+        throw new Error(`Data file changed while importing (${data.rows} rows read, manifest expects ${entry.rows})`);
+    }
+    
+    if (tableSchema.identityCurrent !== null && tableSchema.identityCurrent !== undefined) {
+        await setIdentitySeed(targetPool, definition.name, tableSchema.identityCurrent);
+    }
+    
+    const targetRows = await countRows(targetPool, definition.name);
+    if (targetRows !== entry.rows) {
+        throw new Error(`Target has ${targetRows} rows after import, manifest expects ${entry.rows}`);
+    }
+    
+    await createMissingIndexes(targetPool, definition);
+    
+    return definition;
+}
+
+async function importForeignKeys(targetPool, definitions) {
+    log.info('🔗 Creating foreign keys...');
+    let created = 0;
+    let failed = 0;
+    
+    for (const definition of definitions) {
+        for (const statement of generateForeignKeySQL(definition)) {
+            try {
+                await targetPool.request().query(statement);
+                created++;
+            } catch (error) {
+                failed++;
+                log.error(`❌ Error creating foreign key on ${definition.name}: ${error.message}`, { error: error.message });
+            }
+        }
+    }
+    
+    log.info(`✅ Foreign keys created (${created} created, ${failed} failed)`);
+    return { created, failed };
+}
+
+async function importDatabase(options = {}) {
+    const { batchSize = transferOptions.batchSize, schemaMap = transferOptions.schemaMap, filter = transferOptions.filter } = options;
+    let targetPool;
+    
+    try {
+        if (!options.archivePath) {
+            throw new Error('No archive given, usage: node import-db.js <archive-path>');
+        }
+        validateConfig(targetConfig, 'target');
+        
+        const archivePath = path.resolve(options.archivePath);
+        log.info(`🔍 Verifying archive ${archivePath}...`);
+        const manifest = await verifyArchive(archivePath);
+        log.info(`✅ Archive verified: ${manifest.tables.length} tables, ${manifest.totalRows.toLocaleString()} rows exported from ${manifest.source.server}/${manifest.source.database} at ${manifest.completedAt}`);
+        
+        log.info('🔌 Connecting to target database...');
+        targetPool = new sql.ConnectionPool(targetConfig);
+        await targetPool.connect();
+        log.info('✅ Connected to target database');
+        
+        const entries = manifest.tables.filter(entry => matchesFilter(entry.name, filter));
+        const tables = readTableSchemas(archivePath, entries, schemaMap);
+        const archivedForeignKeys = getArchivedForeignKeys(tables);
+        const clearedTables = filterObjects(await getTableList(targetPool), filter, schemaMap);
+        
+        await assertSafeTarget(targetPool, { rowsToDelete: await sumTableRows(targetPool, clearedTables), action: 'Clearing the target' });
+        await clearTargetDatabase(targetPool, { tables: filter && clearedTables, foreignKeys: archivedForeignKeys });
+        
+        const tablesByName = new Map(tables.map(table => [table.definition.name, table]));
+        const targetForeignKeys = await getForeignKeys(targetPool);
+        const { levels, cycles } = orderTablesByForeignKeys([...tablesByName.keys()], [...archivedForeignKeys, ...targetForeignKeys]);
+        reportForeignKeyCycles(cycles);
+        
+        const definitions = [];
+        const failedTables = [];
+        const cycleForeignKeys = getCycleForeignKeys(targetForeignKeys, cycles);
+        await setForeignKeysEnabled(targetPool, cycleForeignKeys, false);
+        
+        try {
+            for (const table of levels.flat().map(name => tablesByName.get(name))) {
+                const { entry } = table;
+                try {
+                    definitions.push(await importTable(targetPool, archivePath, table, { batchSize }));
+                    log.info(`✅ Imported ${entry.name}: ${entry.rows.toLocaleString()} rows`);
+                } catch (error) {
+                    failedTables.push({ table: entry.name, error: error.message });
+                    log.error(`❌ Error importing table ${entry.name}: ${error.message}`, { error: error.message });
+                }
+            }
+        } finally {
+            await setForeignKeysEnabled(targetPool, cycleForeignKeys, true);
+        }
+        
+        const foreignKeys = await importForeignKeys(targetPool, definitions);
+        
+        const { objects: archivedObjects, dependencies } = readJsonFile(resolveArchiveFile(archivePath, manifest.objects.file)).data;
+        const objects = filterProgrammableObjects(archivedObjects, filter);
+        const moduleTypes = ['FUNCTION', 'VIEW', 'PROCEDURE'];
+        const triggerTypes = ['TRIGGER', 'DDL_TRIGGER'];
+        
+        log.info('🔧 Creating programmable objects...');
+        const objectSummary = await createProgrammableObjects(targetPool, objects.filter(object => moduleTypes.includes(object.type)), dependencies, moduleTypes, { schemaMap });
+        const triggerSummary = await createProgrammableObjects(targetPool, objects.filter(object => triggerTypes.includes(object.type)), dependencies, triggerTypes, { schemaMap });
+        
+        const success = failedTables.length === 0;
+        if (success) {
+            log.info(`🎉 Import completed: ${entries.length} tables, ${entries.reduce((sum, entry) => sum + entry.rows, 0).toLocaleString()} rows`);
+        } else {
+            log.warn(`⚠️  Import finished with ${failedTables.length} failed tables: ${failedTables.map(failure => failure.table).join(', ')}`);
+        }
+        
+        return { success, tables: entries.length, failedTables, foreignKeys, objects: objectSummary, triggers: triggerSummary };
+        
+    } catch (error) {
+        log.error(`💥 Database import failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (targetPool) {
+            await targetPool.close();
+            log.info('🔌 Target database connection closed');
+        }
+    }
+}
+
+if (require.main === module) {
+    importDatabase({ archivePath: process.argv[2] })
+        .then(result => {
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
+}
+
+module.exports = { importDatabase };
\ No newline at end of file
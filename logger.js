@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 50
+};
+
+const context = {};
+const preparedFiles = new Set();
+
+function getLogOptions() {
+    // config.js depends on utils.js, which logs through here, so the options are looked up when the first entry is written
+    return require('./config').logOptions;
+}
+
+function setLogContext(fields) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) {
+            delete context[key];
+        } else {
+            context[key] = value;
+        }
+    }
+}
+
+function prepareLogFile(file) {
+    if (!preparedFiles.has(file)) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        preparedFiles.add(file);
+    }
+}
+
+function toStructuredMessage(message) {
+    return String(message).trim().replace(/^[^\p{L}\p{N}[("'.]+/u, '');
+}
+
+function writeEntry(level, component, message, fields) {
+    const options = getLogOptions();
+    if (LOG_LEVELS[level] < (LOG_LEVELS[options.level] || LOG_LEVELS.info)) {
+        return;
+    }
+    
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        message: toStructuredMessage(message),
+        ...context,
+        ...fields
+    };
+    const write = LOG_LEVELS[level] >= LOG_LEVELS.warn ? console.error : console.log;
+    
+    if (options.file && entry.message) {
+        prepareLogFile(options.file);
+        fs.appendFileSync(options.file, `${JSON.stringify(entry)}\n`);
+    }
+    
+    if (options.format === 'json') {
+        if (entry.message) {
+            write(JSON.stringify(entry));
+        }
+    } else {
+        write(message);
+    }
+}
+
+function createLogger(component) {
+    const log = level => (message, fields = {}) => writeEntry(level, component, message, fields);
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error')
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    setLogContext
+};
\ No newline at end of file
@@ -0,0 +1,380 @@
+const sql = require('mssql');
+const { sourceConfig, targetConfig, transferOptions, structureOptions, validateConfig } = require('./config');
+const { getTableList, getTableRowCounts, getProgrammableObjects, getForeignKeys } = require('./database');
+const { getTableDefinition, mapDefinition, generateCreateTableSQL, generateIndexSQL, generateForeignKeySQL } = require('./ddl');
+const { filterObjects, mapTableName, quoteTableName, formatKeyRange } = require('./utils');
+const { filterProgrammableObjects, buildDependencyMap, getSchemaMapConflict, loadObjectDependencies, toCreateOrAlter } = require('./transfer');
+const { verifyTableData, compareTableStructure } = require('./verifier');
+const { planTableReconciliation } = require('./reconciler');
+const { getBackupTableName, needsBackup } = require('./backups');
+const { getCheckpointPath, loadCheckpoint, getTableState, assertCheckpointMatches } = require('./checkpoint');
+const { createLogger } = require('./logger');
+
+const log = createLogger('plan');
+
+const ACTION_LABELS = {
+    CLEAR_TABLE: '🧹 Clear table',
+    CLEAR_RANGE: '🎯 Clear key range of',
+    BACKUP_TABLE: '💾 Back up',
+    DROP_TABLE: '🗑️  Drop table',
+    CREATE_TABLE: '🔨 Create table',
+    ADD_COLUMN: '➕ Add column',
+    ALTER_COLUMN: '✏️  Alter column',
+    DROP_COLUMN: '🗑️  Drop column',
+    COPY_ROWS: '📥 Copy rows into',
+    CREATE_FOREIGN_KEY: '🔗 Create foreign key',
+    CREATE_OBJECT: '🔧 Create or alter'
+};
+
+async function connectReadOnly(config) {
+    const pool = new sql.ConnectionPool({ ...config, options: { ...config.options, readOnlyIntent: true } });
+    await pool.connect();
+    return pool;
+}
+
+async function beginDiscardedTransaction(pool) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    return transaction;
+}
+
+async function discardTransaction(transaction) {
+    try {
+        await transaction.rollback();
+    } catch (error) {
+        log.warn(`⚠️  Could not roll back the dry run transaction: ${error.message}`);
+    }
+}
+
+function createPlan(command, options = {}) {
+    return {
+        dryRun: true,
+        success: true,
+        command,
+        generatedAt: new Date().toISOString(),
+        source: { server: sourceConfig.server, database: sourceConfig.database },
+        target: { server: targetConfig.server, database: targetConfig.database },
+        filter: options.filter ? options.filter.patterns : null,
+        actions: []
+    };
+}
+
+function getTableDDL(definition) {
+    return [generateCreateTableSQL(definition), ...generateIndexSQL(definition)];
+}
+
+async function planStructureActions(sourcePool, targetPool, table, options = {}) {
+    const { schemaMap = {}, recreate = false, dropColumns = false, approveDataLoss = false, targetRows = 0 } = options;
+    
+    if (!recreate) {
+        const reconciliation = await planTableReconciliation(sourcePool, targetPool, table, { schemaMap, dropColumns, approveDataLoss });
+        return reconciliation.changes.map(change => ({
+            action: change.action,
+            table: reconciliation.targetTable,
+            column: change.column,
+            status: change.status,
+            reason: change.reason,
+            sql: change.sql
+        }));
+    }
+    
+    const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+    const targetTable = definition.name;
+    
+    return [
+        { action: 'DROP_TABLE', table: targetTable, rows: targetRows, sql: [`DROP TABLE ${quoteTableName(targetTable)}`] },
+        { action: 'CREATE_TABLE', table: targetTable, source: table, sql: getTableDDL(definition) }
+    ];
+}
+
+function planBackup(table, rows, ranges = null) {
+    const backupTable = getBackupTableName(table);
+    if (ranges) {
+        return { action: 'BACKUP_TABLE', table, backupTable, rows, ranges: ranges.map(formatKeyRange) };
+    }
+    return { action: 'BACKUP_TABLE', table, backupTable, rows, sql: [`SELECT * INTO ${quoteTableName(backupTable)} FROM ${quoteTableName(table)}`] };
+}
+
+function summarizePlan(actions) {
+    const count = type => actions.filter(action => action.action === type);
+    const columnChanges = actions.filter(action => ['ADD_COLUMN', 'ALTER_COLUMN', 'DROP_COLUMN'].includes(action.action));
+    const sumRows = type => count(type).reduce((sum, action) => sum + action.rows, 0);
+    
+    return {
+        tablesCleared: count('CLEAR_TABLE').length,
+        rowsDeleted: sumRows('CLEAR_TABLE') + sumRows('CLEAR_RANGE'),
+        rangesCleared: count('CLEAR_RANGE').length,
+        tablesBackedUp: count('BACKUP_TABLE').length,
+        rowsBackedUp: sumRows('BACKUP_TABLE'),
+        tablesDropped: count('DROP_TABLE').length,
+        rowsDropped: sumRows('DROP_TABLE'),
+        tablesCreated: count('CREATE_TABLE').length,
+        columnsChanged: columnChanges.filter(action => action.status === 'PENDING').length,
+        columnChangesHeld: columnChanges.filter(action => action.status === 'NEEDS_APPROVAL' || action.status === 'BLOCKED').length,
+        tablesCopied: new Set(count('COPY_ROWS').map(action => action.table)).size,
+        rowsToCopy: sumRows('COPY_ROWS'),
+        foreignKeysCreated: count('CREATE_FOREIGN_KEY').length,
+        objectsCreated: count('CREATE_OBJECT').filter(action => action.sql).length,
+        objectsSkipped: count('CREATE_OBJECT').filter(action => !action.sql).length
+    };
+}
+
+async function buildRestorePlan(sourcePool, targetPool, options = {}) {
+    const { schemaMap = {}, filter = null, checkpoint = null } = options;
+    const plan = createPlan('restore', options);
+    
+    const sourceTables = filterObjects(await getTableList(sourcePool), filter);
+    const targetTables = await getTableList(targetPool);
+    const sourceRowCounts = await getTableRowCounts(sourcePool);
+    const targetRowCounts = await getTableRowCounts(targetPool);
+    const existingTables = new Set(targetTables.map(table => table.toLowerCase()));
+    const existingKeys = new Set((await getForeignKeys(targetPool)).map(fk => `${fk.TABLE_NAME}.${fk.CONSTRAINT_NAME}`));
+    
+    if (checkpoint) {
+        plan.resumeFrom = checkpoint.filePath;
+    } else {
+        const clearedTables = filterObjects(targetTables, filter, schemaMap);
+        for (const table of clearedTables) {
+            plan.actions.push({ action: 'CLEAR_TABLE', table, rows: targetRowCounts.get(table) || 0, sql: [`DELETE FROM ${quoteTableName(table)}`] });
+        }
+    }
+    
+    const copies = [];
+    const foreignKeys = [];
+    
+    for (const table of sourceTables) {
+        const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+        
+        if (!existingTables.has(definition.name.toLowerCase())) {
+            plan.actions.push({ action: 'CREATE_TABLE', table: definition.name, source: table, sql: getTableDDL(definition) });
+        }
+        
+        const tableState = getTableState(checkpoint, table);
+        if (!tableState || tableState.status !== 'DONE') {
+            copies.push({ action: 'COPY_ROWS', table: definition.name, source: table, rows: sourceRowCounts.get(table) || 0 });
+        }
+        
+        const statements = generateForeignKeySQL(definition);
+        definition.foreignKeys.forEach((fk, i) => {
+            if (!existingKeys.has(`${definition.name}.${fk.name}`)) {
+                foreignKeys.push({ action: 'CREATE_FOREIGN_KEY', table: definition.name, name: fk.name, sql: [statements[i]] });
+            }
+        });
+    }
+    
+    const dependencies = buildDependencyMap(await loadObjectDependencies(sourcePool));
+    const objects = filterProgrammableObjects(await getProgrammableObjects(sourcePool), filter).map(object => {
+        const reason = object.definition ? getSchemaMapConflict(object, dependencies, schemaMap) : 'definition is encrypted or not visible';
+        return {
+            action: 'CREATE_OBJECT',
+            name: object.name,
+            type: object.type,
+            sql: reason ? null : [toCreateOrAlter(object.definition)],
+            reason
+        };
+    });
+    
+    plan.actions.push(...copies, ...foreignKeys, ...objects);
+    return plan;
+}
+
+async function buildFixPlan(sourcePool, targetPool, options = {}) {
+    const { schemaMap = {}, filter = null, recreate = false, skipBackup = false } = options;
+    const plan = createPlan('fix', options);
+    
+    const tables = filterObjects(await getTableList(sourcePool), filter);
+    const targetRowCounts = await getTableRowCounts(targetPool);
+    plan.issues = [];
+    
+    for (const table of tables) {
+        const verification = await verifyTableData(sourcePool, targetPool, table, { schemaMap, locateRanges: true });
+        if (verification.status === 'MATCH') {
+            continue;
+        }
+        plan.issues.push(verification);
+        
+        const targetTable = mapTableName(table, schemaMap);
+        const targetRows = targetRowCounts.get(targetTable) || 0;
+        const hasStructureIssues = verification.issues.some(issue => issue.type === 'STRUCTURE');
+        const hasDataIssues = verification.issues.some(issue => issue.type === 'ROW_COUNT' || issue.type === 'DATA_CHECKSUM');
+        
+        const structureActions = hasStructureIssues ? await planStructureActions(sourcePool, targetPool, table, { ...options, targetRows }) : [];
+        const rangeRepair = hasDataIssues && !hasStructureIssues && verification.ranges && verification.ranges.ranges.length > 0;
+        
+        if (!skipBackup && targetRowCounts.has(targetTable)) {
+            if (needsBackup(structureActions) || (hasDataIssues && !rangeRepair)) {
+                plan.actions.push(planBackup(targetTable, targetRows));
+            } else if (rangeRepair) {
+                const ranges = verification.ranges.ranges;
+                plan.actions.push(planBackup(targetTable, ranges.reduce((sum, range) => sum + range.targetRows, 0), ranges));
+            }
+        }
+        plan.actions.push(...structureActions);
+        
+        if (rangeRepair) {
+            for (const range of verification.ranges.ranges) {
+                plan.actions.push({ action: 'CLEAR_RANGE', table: targetTable, range: formatKeyRange(range), rows: range.targetRows });
+                plan.actions.push({ action: 'COPY_ROWS', table: targetTable, source: table, range: formatKeyRange(range), rows: range.sourceRows });
+            }
+        } else if (hasDataIssues) {
+            plan.actions.push({
+                action: 'CLEAR_TABLE',
+                table: targetTable,
+                rows: hasStructureIssues && recreate ? 0 : targetRows,
+                sql: [`DELETE FROM ${quoteTableName(targetTable)}`]
+            });
+            plan.actions.push({ action: 'COPY_ROWS', table: targetTable, source: table, rows: verification.rowCount });
+        }
+    }
+    
+    return plan;
+}
+
+async function buildStructureFixPlan(sourcePool, targetPool, options = {}) {
+    const { schemaMap = {}, filter = null, skipBackup = false } = options;
+    const plan = createPlan('fix-structure', options);
+    
+    const targetRowCounts = await getTableRowCounts(targetPool);
+    const tables = filterObjects(await getTableList(sourcePool), filter)
+        .filter(table => targetRowCounts.has(mapTableName(table, schemaMap)));
+        
+    for (const table of tables) {
+        const targetTable = mapTableName(table, schemaMap);
+        if ((await compareTableStructure(sourcePool, targetPool, table, targetTable)).length > 0) {
+            const structureActions = await planStructureActions(sourcePool, targetPool, table, { ...options, targetRows: targetRowCounts.get(targetTable) });
+            if (!skipBackup && needsBackup(structureActions)) {
+                plan.actions.push(planBackup(targetTable, targetRowCounts.get(targetTable)));
+            }
+            plan.actions.push(...structureActions);
+        }
+    }
+    
+    return plan;
+}
+
+function describeAction(action) {
+    const label = ACTION_LABELS[action.action];
+    
+    switch (action.action) {
+        case 'CLEAR_TABLE':
+        case 'DROP_TABLE':
+            return `${label} ${action.table} (${action.rows.toLocaleString()} rows in target)`;
+        case 'BACKUP_TABLE':
+            return `${label} ${action.ranges ? `${action.ranges.length} key ranges of ` : ''}${action.table} to ${action.backupTable} (${action.rows.toLocaleString()} rows)`;
+        case 'CLEAR_RANGE':
+            return `${label} ${action.table} ${action.range} (${action.rows.toLocaleString()} rows in target)`;
+        case 'COPY_ROWS':
+            return `${label} ${action.table} from ${action.source}${action.range ? ` ${action.range}` : ''} (${action.rows.toLocaleString()} rows)`;
+        case 'CREATE_FOREIGN_KEY':
+            return `${label} ${action.table}.${action.name}`;
+        case 'ADD_COLUMN':
+        case 'ALTER_COLUMN':
+        case 'DROP_COLUMN':
+            return `${label} ${action.table}.${action.column}${action.status === 'PENDING' ? '' : ` (${action.status.toLowerCase().replace('_', ' ')}: ${action.reason})`}`;
+        case 'CREATE_OBJECT':
+            return `${label} ${action.type.toLowerCase().replace('_', ' ')} ${action.name}${action.reason ? ` (skipped: ${action.reason})` : ''}`;
+        default:
+            return `${label} ${action.table}`;
+    }
+}
+
+function printPlan(plan) {
+    log.info(`\n📝 DRY RUN PLAN: ${plan.command}`);
+    log.info('═'.repeat(50));
+    log.info(`   Source: ${plan.source.server}/${plan.source.database}`);
+    log.info(`   Target: ${plan.target.server}/${plan.target.database}`);
+    log.info(`   Filter: ${plan.filter ? plan.filter.join(', ') : 'all objects'}`);
+    if (plan.resumeFrom) {
+        log.info(`   Resuming from: ${plan.resumeFrom}`);
+    }
+    log.info('─'.repeat(50));
+    
+    plan.actions.forEach((action, i) => {
+        log.info(`${String(i + 1).padStart(4)}. ${describeAction(action)}`);
+        if (['CREATE_TABLE', 'CREATE_OBJECT', 'CREATE_FOREIGN_KEY', 'ADD_COLUMN', 'ALTER_COLUMN', 'DROP_COLUMN'].includes(action.action)) {
+            for (const statement of action.sql || []) {
+                log.info(statement.split('\n').map(line => `         ${line}`).join('\n'));
+            }
+        }
+    });
+    
+    const { summary } = plan;
+    log.info('═'.repeat(50));
+    log.info(`🧹 Clear: ${summary.tablesCleared} tables, ${summary.rangesCleared} key ranges (${summary.rowsDeleted.toLocaleString()} rows)`);
+    log.info(`💾 Back up: ${summary.tablesBackedUp} tables (${summary.rowsBackedUp.toLocaleString()} rows)`);
+    log.info(`🗑️  Drop: ${summary.tablesDropped} tables (${summary.rowsDropped.toLocaleString()} rows)`);
+    log.info(`✏️  Alter: ${summary.columnsChanged} column changes (${summary.columnChangesHeld} need approval or are blocked)`);
+    log.info(`🔨 Create: ${summary.tablesCreated} tables, ${summary.foreignKeysCreated} foreign keys, ${summary.objectsCreated} objects (${summary.objectsSkipped} skipped)`);
+    log.info(`📥 Copy: ${summary.tablesCopied} tables (${summary.rowsToCopy.toLocaleString()} rows)`);
+    log.info('ℹ️  Dry run only, nothing was changed on the target');
+}
+
+async function runPlan(build, options = {}) {
+    let sourcePool, targetPool, sourceTransaction, targetTransaction;
+    
+    try {
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        log.info('🔌 Connecting to databases (read-only)...');
+        sourcePool = await connectReadOnly(sourceConfig);
+        targetPool = await connectReadOnly(targetConfig);
+        sourceTransaction = await beginDiscardedTransaction(sourcePool);
+        targetTransaction = await beginDiscardedTransaction(targetPool);
+        log.info('✅ Connected to both databases, every statement runs in a transaction that is rolled back');
+        
+        const plan = await build(sourceTransaction, targetTransaction, options);
+        plan.summary = summarizePlan(plan.actions);
+        printPlan(plan);
+        return plan;
+        
+    } catch (error) {
+        log.error(`💥 Dry run failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (sourceTransaction) {
+            await discardTransaction(sourceTransaction);
+        }
+        if (targetTransaction) {
+            await discardTransaction(targetTransaction);
+        }
+        if (sourcePool) {
+            await sourcePool.close();
+        }
+        if (targetPool) {
+            await targetPool.close();
+        }
+    }
+}
+
+async function planRestore(options = {}) {
+    const { resume = false } = options;
+    let checkpoint = null;
+    
+    if (resume) {
+        const checkpointPath = getCheckpointPath();
+        checkpoint = loadCheckpoint(checkpointPath);
+        if (!checkpoint) {
+            throw new Error(`No checkpoint found at ${checkpointPath}, run without --resume to plan a new restore`);
+        }
+        assertCheckpointMatches(checkpoint, sourceConfig, targetConfig);
+    }
+    
+    return runPlan(buildRestorePlan, { schemaMap: transferOptions.schemaMap, filter: transferOptions.filter, checkpoint });
+}
+
+async function planFix(options = {}) {
+    const { schemaMap = transferOptions.schemaMap, filter = transferOptions.filter } = options;
+    return runPlan(buildFixPlan, { ...structureOptions, ...options, schemaMap, filter });
+}
+
+async function planStructureFix(options = {}) {
+    const { schemaMap = transferOptions.schemaMap, filter = transferOptions.filter } = options;
+    return runPlan(buildStructureFixPlan, { ...structureOptions, ...options, schemaMap, filter });
+}
+
+module.exports = {
+    planRestore,
+    planFix,
+    planStructureFix
+};
\ No newline at end of file
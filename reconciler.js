@@ -0,0 +1,246 @@
+const sql = require('mssql');
+const { getTableSchema } = require('./database');
+const { getTableDefinition, generateAddColumnSQL, generateAlterColumnSQL, generateDropColumnSQL } = require('./ddl');
+const { diffTableStructure } = require('./verifier');
+const { quoteIdentifier, quoteTableName, mapTableName } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('reconciler');
+
+// Target types that can be converted to the listed source types without changing any stored value,
+// as long as getPrecisionLosses finds no lower precision, scale or fractional seconds on the source
+const SAFE_TYPE_CHANGES = {
+    tinyint: ['smallint', 'int', 'bigint', 'float'],
+    smallint: ['int', 'bigint', 'float'],
+    int: ['bigint', 'float'],
+    real: ['float'],
+    smalldatetime: ['datetime', 'datetime2'],
+    datetime: ['datetime2'],
+    date: ['datetime2'],
+    char: ['varchar', 'nchar', 'nvarchar'],
+    nchar: ['nvarchar'],
+    varchar: ['nvarchar'],
+    binary: ['varbinary']
+};
+
+const CHANGE_LABELS = {
+    ADD_COLUMN: 'Add column',
+    ALTER_COLUMN: 'Alter column',
+    DROP_COLUMN: 'Drop column'
+};
+
+const CHANGE_ORDER = ['ALTER_COLUMN', 'ADD_COLUMN', 'DROP_COLUMN'];
+
+async function countRows(pool, tableName, where = '') {
+    const result = await pool.request().query(`SELECT COUNT_BIG(*) AS row_count FROM ${quoteTableName(tableName)} ${where}`);
+    return Number(result.recordset[0].row_count);
+}
+
+function formatLength(length) {
+    return length === -1 ? 'MAX' : length;
+}
+
+function isNarrowing(sourceLength, targetLength) {
+    if (sourceLength === null || targetLength === null || sourceLength === -1) {
+        return false;
+    }
+    return targetLength === -1 || sourceLength < targetLength;
+}
+
+const DECIMAL_TYPES = ['decimal', 'numeric'];
+
+function getPrecisionLosses(sourceCol, targetCol) {
+    const losses = [];
+    const sourceType = sourceCol.DATA_TYPE.toLowerCase();
+    const targetType = targetCol.DATA_TYPE.toLowerCase();
+    
+    if (DECIMAL_TYPES.includes(sourceType) && DECIMAL_TYPES.includes(targetType)) {
+        if (sourceCol.NUMERIC_SCALE < targetCol.NUMERIC_SCALE) {
+            losses.push(`reducing the scale from ${targetCol.NUMERIC_SCALE} to ${sourceCol.NUMERIC_SCALE} rounds values`);
+        }
+        if (sourceCol.NUMERIC_PRECISION - sourceCol.NUMERIC_SCALE < targetCol.NUMERIC_PRECISION - targetCol.NUMERIC_SCALE) {
+            losses.push(`reducing ${targetType}(${targetCol.NUMERIC_PRECISION},${targetCol.NUMERIC_SCALE}) to ${sourceType}(${sourceCol.NUMERIC_PRECISION},${sourceCol.NUMERIC_SCALE}) can overflow values`);
+        }
+    }
+    
+    // datetime reports 3 fractional digits, so datetime to datetime2(0-2) is caught here as well
+    if (sourceCol.DATETIME_PRECISION !== null && targetCol.DATETIME_PRECISION !== null && sourceCol.DATETIME_PRECISION < targetCol.DATETIME_PRECISION) {
+        losses.push(`reducing fractional seconds from ${targetCol.DATETIME_PRECISION} to ${sourceCol.DATETIME_PRECISION} digits rounds values`);
+    }
+    
+    return losses;
+}
+
+function createChange(action, column, sqlStatements) {
+    return { action, column, sql: sqlStatements, status: 'PENDING', dataLoss: null, reason: null };
+}
+
+function planAddColumn(targetTable, column, targetRows) {
+    const change = createChange('ADD_COLUMN', column.name, [generateAddColumnSQL(targetTable, column)]);
+    
+    if (!column.nullable && !column.default && !column.identity && !column.computed && targetRows > 0) {
+        change.status = 'BLOCKED';
+        change.reason = `NOT NULL column without a default cannot be added to ${targetRows.toLocaleString()} existing rows`;
+    }
+    
+    return change;
+}
+
+function planDropColumn(targetTable, column, targetRows, dropColumns) {
+    const change = createChange('DROP_COLUMN', column.name, generateDropColumnSQL(targetTable, column));
+    
+    if (targetRows > 0) {
+        change.dataLoss = `drops the ${column.name} values of ${targetRows.toLocaleString()} rows`;
+    }
+    if (!dropColumns) {
+        change.status = 'SKIPPED';
+        change.reason = 'extra column kept, pass --drop-columns to drop it';
+    }
+    
+    return change;
+}
+
+async function planAlterColumn(targetPool, targetTable, sourceCol, targetCol, column, targetColumn, targetRows) {
+    const change = createChange('ALTER_COLUMN', column.name, [generateAlterColumnSQL(targetTable, column)]);
+    
+    if (column.computed || targetColumn.computed) {
+        change.status = 'BLOCKED';
+        change.reason = 'computed columns cannot be altered in place, use --recreate';
+        return change;
+    }
+    
+    const sourceType = sourceCol.DATA_TYPE.toLowerCase();
+    const targetType = targetCol.DATA_TYPE.toLowerCase();
+    const losses = [];
+    
+    if (sourceType !== targetType && !(SAFE_TYPE_CHANGES[targetType] || []).includes(sourceType)) {
+        losses.push(`converting ${targetType} to ${sourceType} can change or reject values`);
+    }
+    if (isNarrowing(sourceCol.CHARACTER_MAXIMUM_LENGTH, targetCol.CHARACTER_MAXIMUM_LENGTH)) {
+        losses.push(`narrowing from ${formatLength(targetCol.CHARACTER_MAXIMUM_LENGTH)} to ${formatLength(sourceCol.CHARACTER_MAXIMUM_LENGTH)} characters can truncate values`);
+    }
+    losses.push(...getPrecisionLosses(sourceCol, targetCol));
+    change.dataLoss = losses.length > 0 ? losses.join(', ') : null;
+    
+    if (sourceCol.IS_NULLABLE === 'NO' && targetCol.IS_NULLABLE === 'YES' && targetRows > 0) {
+        const nullRows = await countRows(targetPool, targetTable, `WHERE ${quoteIdentifier(column.name)} IS NULL`);
+        if (nullRows > 0) {
+            change.status = 'BLOCKED';
+            change.reason = `${nullRows.toLocaleString()} rows hold NULL, so the column cannot be made NOT NULL`;
+        }
+    }
+    
+    return change;
+}
+
+async function planTableReconciliation(sourcePool, targetPool, tableName, options = {}) {
+    const { schemaMap = {}, dropColumns = false, approveDataLoss = false } = options;
+    const targetTable = mapTableName(tableName, schemaMap);
+    const sourceSchema = await getTableSchema(sourcePool, tableName);
+    const targetSchema = await getTableSchema(targetPool, targetTable);
+    const differences = diffTableStructure(sourceSchema, targetSchema).filter(difference => difference.column);
+    const plan = { table: tableName, targetTable, changes: [] };
+    
+    if (differences.length === 0) {
+        return plan;
+    }
+    
+    const sourceColumns = new Map((await getTableDefinition(sourcePool, tableName)).columns.map(col => [col.name, col]));
+    const targetColumns = new Map((await getTableDefinition(targetPool, targetTable)).columns.map(col => [col.name, col]));
+    const targetRows = await countRows(targetPool, targetTable);
+    
+    for (const columnName of new Set(differences.map(difference => difference.column))) {
+        const columnDifferences = differences.filter(difference => difference.column === columnName);
+        const types = columnDifferences.map(difference => difference.type);
+        let change;
+        
+        if (types.includes('MISSING_COLUMN')) {
+            change = planAddColumn(targetTable, sourceColumns.get(columnName), targetRows);
+        } else if (types.includes('EXTRA_COLUMN')) {
+            change = planDropColumn(targetTable, targetColumns.get(columnName), targetRows, dropColumns);
+        } else {
+            change = await planAlterColumn(
+                targetPool,
+                targetTable,
+                sourceSchema.find(col => col.COLUMN_NAME === columnName),
+                targetSchema.find(col => col.COLUMN_NAME === columnName),
+                sourceColumns.get(columnName),
+                targetColumns.get(columnName),
+                targetRows
+            );
+        }
+        
+        change.differences = columnDifferences.map(difference => difference.message);
+        if (change.status === 'PENDING' && change.dataLoss && !approveDataLoss) {
+            change.status = 'NEEDS_APPROVAL';
+            change.reason = `${change.dataLoss}, pass --approve-data-loss to apply it`;
+        }
+        plan.changes.push(change);
+    }
+    
+    // Computed columns are added last because they can reference the other new columns
+    const rank = change => CHANGE_ORDER.indexOf(change.action) * 2 + (change.action === 'ADD_COLUMN' && sourceColumns.get(change.column).computed ? 1 : 0);
+    plan.changes.sort((a, b) => rank(a) - rank(b));
+    
+    return plan;
+}
+
+function describeChange(change) {
+    return `${CHANGE_LABELS[change.action]} ${change.column}`;
+}
+
+async function runInTransaction(pool, statements) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    
+    try {
+        for (const statement of statements) {
+            await new sql.Request(transaction).query(statement);
+        }
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback().catch(() => {});
+        throw error;
+    }
+}
+
+async function applyTableReconciliation(targetPool, plan) {
+    for (const change of plan.changes) {
+        const fields = { table: plan.targetTable, column: change.column };
+        
+        if (change.status === 'PENDING') {
+            try {
+                await runInTransaction(targetPool, change.sql);
+                change.status = 'APPLIED';
+                log.info(`   ✅ ${describeChange(change)}${change.dataLoss ? ` (approved: ${change.dataLoss})` : ''}`, fields);
+            } catch (error) {
+                change.status = 'FAILED';
+                change.reason = error.message;
+                log.error(`   ❌ ${describeChange(change)} failed: ${error.message}`, { ...fields, error: error.message });
+            }
+        } else if (change.status === 'SKIPPED') {
+            log.info(`   ⏭️  ${describeChange(change)}: ${change.reason}`, fields);
+        } else {
+            log.warn(`   ⚠️  ${describeChange(change)} ${change.status === 'NEEDS_APPROVAL' ? 'needs approval' : 'is blocked'}: ${change.reason}`, fields);
+        }
+    }
+    
+    plan.reconciled = plan.changes.every(change => change.status === 'APPLIED');
+    return plan;
+}
+
+async function reconcileTableStructure(sourcePool, targetPool, tableName, options = {}) {
+    const plan = await planTableReconciliation(sourcePool, targetPool, tableName, options);
+    log.info(`🔧 Reconciling ${plan.targetTable}: ${plan.changes.length} column changes`, { table: plan.targetTable });
+    if (options.beforeApply) {
+        await options.beforeApply(plan.changes);
+    }
+    return applyTableReconciliation(targetPool, plan);
+}
+
+module.exports = {
+    planTableReconciliation,
+    applyTableReconciliation,
+    reconcileTableStructure,
+    describeChange
+};
\ No newline at end of file
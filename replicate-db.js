@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const { sourceConfig, targetConfig, transferOptions, replicationOptions, validateConfig } = require('./config');
+const { executeWithRetry, filterObjects, mapTableName, quoteIdentifier, quoteTableName } = require('./utils');
+const { getTableList, getTableSchema, getPagingKey, buildKeyRangeCondition, getRowKey, getKeyValueColumns, fetchBatchAfter, createTableIfNotExists, upsertData, deleteRowsByKey, getForeignKeys, orderTablesByForeignKeys, reportForeignKeyCycles } = require('./database');
+const { getTableDefinition, mapDefinition } = require('./ddl');
+const { createCheckpoint, assertCheckpointMatches } = require('./checkpoint');
+const { assertSafeTarget } = require('./safety');
+const { createLogger } = require('./logger');
+
+const log = createLogger('replicate');
+
+const CHANGE_KEY_PREFIX = '__change_key';
+
+function loadReplicationState(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return { ...JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath };
+}
+
+function saveReplicationState(replicationState) {
+    const { filePath, ...data } = replicationState;
+    data.updatedAt = new Date().toISOString();
+    
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+    replicationState.updatedAt = data.updatedAt;
+}
+
+async function getCurrentVersion(pool) {
+    const result = await pool.request().query('SELECT CHANGE_TRACKING_CURRENT_VERSION() AS version');
+    return result.recordset[0].version;
+}
+
+async function getMinValidVersion(pool, table) {
+    const request = pool.request();
+    request.input('objectName', sql.NVarChar, quoteTableName(table));
+    const result = await request.query('SELECT CHANGE_TRACKING_MIN_VALID_VERSION(OBJECT_ID(@objectName)) AS version');
+    return result.recordset[0].version;
+}
+
+async function getTrackedTables(pool) {
+    const result = await pool.request().query(`
+        SELECT OBJECT_SCHEMA_NAME(object_id) + '.' + OBJECT_NAME(object_id) AS TABLE_NAME
+        FROM sys.change_tracking_tables
+    `);
+    return new Set(result.recordset.map(row => row.TABLE_NAME));
+}
+
+async function isSnapshotIsolationAllowed(pool) {
+    const result = await pool.request().query('SELECT snapshot_isolation_state FROM sys.databases WHERE database_id = DB_ID()');
+    return result.recordset[0].snapshot_isolation_state === 1;
+}
+
+async function ensureChangeTracking(pool, tables, options) {
+    const { enableTracking, retentionDays } = options;
+    
+    if (await getCurrentVersion(pool) === null) {
+        if (!enableTracking) {
+            throw new Error('Change Tracking is not enabled on the source database, enable it or pass --enable-tracking');
+        }
+        await pool.request().query(`ALTER DATABASE CURRENT SET CHANGE_TRACKING = ON (CHANGE_RETENTION = ${retentionDays} DAYS, AUTO_CLEANUP = ON)`);
+        log.info(`🛰️  Enabled Change Tracking on the source database (${retentionDays} days retention)`);
+    }
+    
+    if (!await isSnapshotIsolationAllowed(pool)) {
+        if (!enableTracking) {
+            throw new Error('Snapshot isolation is not allowed on the source database, it is needed to read changes consistently; allow it or pass --enable-tracking');
+        }
+        await pool.request().query('ALTER DATABASE CURRENT SET ALLOW_SNAPSHOT_ISOLATION ON');
+        log.info('🛰️  Allowed snapshot isolation on the source database');
+    }
+    
+    const trackedTables = await getTrackedTables(pool);
+    const untracked = [];
+    
+    for (const table of tables.filter(table => !trackedTables.has(table))) {
+        if (!enableTracking) {
+            untracked.push(table);
+            continue;
+        }
+        
+        try {
+            await pool.request().query(`ALTER TABLE ${quoteTableName(table)} ENABLE CHANGE_TRACKING`);
+            trackedTables.add(table);
+            log.info(`🛰️  Enabled Change Tracking on ${table}`, { table });
+        } catch (error) {
+            untracked.push(table);
+            log.warn(`⚠️  Could not enable Change Tracking on ${table}: ${error.message}`, { table, error: error.message });
+        }
+    }
+    
+    return { tracked: tables.filter(table => trackedTables.has(table)), untracked };
+}
+
+async function prepareTable(sourcePool, targetPool, table, schemaMap) {
+    const schema = await getTableSchema(sourcePool, table);
+    const pagingKey = await getPagingKey(sourcePool, table, schema);
+    if (pagingKey.strategy !== 'PRIMARY_KEY') {
+        return null;
+    }
+    
+    const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+    await createTableIfNotExists(targetPool, definition.name, definition);
+    
+    return {
+        table,
+        targetTable: definition.name,
+        schema,
+        pagingKey,
+        keyColumns: pagingKey.columns.map(col => col.name)
+    };
+}
+
+async function fetchChangePage(pool, entry, options) {
+    const { sinceVersion, upToVersion, afterKey, batchSize, deleted } = options;
+    const tableName = quoteTableName(entry.table);
+    const keySelect = entry.keyColumns.map((name, i) => `ct.${quoteIdentifier(name)} AS [${CHANGE_KEY_PREFIX}${i}]`).join(', ');
+    const joinOn = entry.keyColumns.map(name => `t.${quoteIdentifier(name)} = ct.${quoteIdentifier(name)}`).join(' AND ');
+    const changeKey = {
+        columns: entry.pagingKey.columns.map((col, i) => ({ ...col, name: `${CHANGE_KEY_PREFIX}${i}`, expression: `ct.${quoteIdentifier(col.name)}` }))
+    };
+    
+    // CHANGETABLE returns the net change per key, so a row inserted or updated and then deleted
+    // before the poll has no current values and is applied as a delete
+    const deletedCondition = `(ct.SYS_CHANGE_OPERATION = 'D' OR t.${quoteIdentifier(entry.keyColumns[0])} IS NULL)`;
+    
+    const request = pool.request();
+    request.input('sinceVersion', sql.BigInt, sinceVersion);
+    request.input('upToVersion', sql.BigInt, upToVersion);
+    request.input('batchSize', sql.Int, batchSize);
+    const keyCondition = buildKeyRangeCondition(request, changeKey, afterKey, null);
+    const result = await request.query(`
+        SELECT TOP (@batchSize) ${[keySelect, ...getKeyValueColumns(changeKey)].join(', ')}, t.*
+        FROM CHANGETABLE(CHANGES ${tableName}, @sinceVersion) AS ct
+        LEFT JOIN ${tableName} AS t ON ${joinOn}
+        WHERE ct.SYS_CHANGE_VERSION <= @upToVersion
+        AND ${deleted ? deletedCondition : `NOT ${deletedCondition}`}
+        ${keyCondition ? `AND ${keyCondition}` : ''}
+        ORDER BY ${changeKey.columns.map(col => col.expression).join(', ')}
+    `);
+    
+    const rows = result.recordset;
+    return { rows, lastKey: rows.length > 0 ? getRowKey(rows[rows.length - 1], changeKey) : null };
+}
+
+async function applyChangePages(pool, entry, options, apply) {
+    const { batchSize } = options;
+    let afterKey = null;
+    let appliedCount = 0;
+    
+    while (true) {
+        const page = await executeWithRetry(() => fetchChangePage(pool, entry, { ...options, afterKey }));
+        if (page.rows.length === 0) {
+            break;
+        }
+        
+        await executeWithRetry(() => apply(page.rows));
+        appliedCount += page.rows.length;
+        afterKey = page.lastKey;
+        
+        if (page.rows.length < batchSize) {
+            break;
+        }
+    }
+    
+    return appliedCount;
+}
+
+async function mergeAllRows(sourcePool, targetPool, entry, batchSize) {
+    let lastKey = null;
+    let mergedCount = 0;
+    
+    while (true) {
+        const batch = await executeWithRetry(() => fetchBatchAfter(sourcePool, entry.table, entry.pagingKey, lastKey, batchSize));
+        if (batch.rows.length === 0) {
+            break;
+        }
+        
+        await executeWithRetry(() => upsertData(targetPool, entry.targetTable, entry.schema, entry.keyColumns, batch.rows));
+        mergedCount += batch.rows.length;
+        lastKey = batch.lastKey;
+        
+        if (batch.rows.length < batchSize) {
+            break;
+        }
+    }
+    
+    return mergedCount;
+}
+
+async function applyChanges(snapshot, targetPool, tables, replicationState, batchSize) {
+    const upToVersion = await getCurrentVersion(snapshot);
+    const pending = [];
+    
+    for (const entry of tables) {
+        const tableState = replicationState.tables[entry.table];
+        
+        if (!tableState) {
+            log.info(`🆕 ${entry.table}: no replicated version yet, merging every row`, { table: entry.table });
+            pending.push({ entry, baseline: true });
+            continue;
+        }
+        
+        const minValidVersion = await getMinValidVersion(snapshot, entry.table);
+        if (minValidVersion === null || BigInt(tableState.version) < BigInt(minValidVersion)) {
+            log.warn(`⚠️  ${entry.table}: changes since version ${tableState.version} are no longer retained, merging every row (rows deleted meanwhile stay on the target until it is restored)`, { table: entry.table });
+            pending.push({ entry, baseline: true });
+            continue;
+        }
+        
+        pending.push({ entry, baseline: false, sinceVersion: tableState.version });
+    }
+    
+    // Parents are written before their children and children deleted before their parents,
+    // so the target's foreign keys hold after every statement
+    const applied = { upserted: 0, deleted: 0, tables: 0 };
+    
+    for (const change of pending) {
+        const { entry } = change;
+        change.upserts = change.baseline
+            ? await mergeAllRows(snapshot, targetPool, entry, batchSize)
+            : await applyChangePages(snapshot, entry, { sinceVersion: change.sinceVersion, upToVersion, batchSize, deleted: false }, rows =>
+                upsertData(targetPool, entry.targetTable, entry.schema, entry.keyColumns, rows)
+            );
+        applied.upserted += change.upserts;
+    }
+    
+    for (const change of [...pending].reverse()) {
+        const { entry } = change;
+        change.deletes = change.baseline
+            ? 0
+            : await applyChangePages(snapshot, entry, { sinceVersion: change.sinceVersion, upToVersion, batchSize, deleted: true }, rows =>
+                deleteRowsByKey(targetPool, entry.targetTable, entry.schema, entry.keyColumns, rows.map(row =>
+                    Object.fromEntries(entry.keyColumns.map((name, i) => [name, row[`${CHANGE_KEY_PREFIX}${i}`]]))
+                ))
+            );
+        applied.deleted += change.deletes;
+    }
+    
+    for (const change of pending) {
+        if (change.baseline || change.upserts > 0 || change.deletes > 0) {
+            applied.tables++;
+            log.debug(`   🔁 ${change.entry.table}: ${change.baseline ? 'merged in full' : `${change.upserts} upserts, ${change.deletes} deletes`}`, {
+                table: change.entry.table,
+                baseline: change.baseline
+            });
+        }
+        replicationState.tables[change.entry.table] = { version: String(upToVersion), replicatedAt: new Date().toISOString() };
+    }
+    
+    replicationState.version = String(upToVersion);
+    saveReplicationState(replicationState);
+    
+    return { ...applied, version: String(upToVersion) };
+}
+
+async function replicateChanges(sourcePool, targetPool, tables, replicationState, batchSize) {
+    // Every source read of a poll runs in one snapshot transaction, so the row values joined to CHANGETABLE
+    // and the baseline merges all belong to the version that is stored once the poll is applied
+    const snapshot = new sql.Transaction(sourcePool);
+    await snapshot.begin(sql.ISOLATION_LEVEL.SNAPSHOT);
+    
+    try {
+        const applied = await applyChanges(snapshot, targetPool, tables, replicationState, batchSize);
+        await snapshot.commit();
+        return applied;
+    } catch (error) {
+        await snapshot.rollback().catch(() => {});
+        throw error;
+    }
+}
+
+async function replicateDatabase(options = {}) {
+    const {
+        once = false,
+        reset = false,
+        filter = transferOptions.filter,
+        schemaMap = transferOptions.schemaMap,
+        batchSize = transferOptions.batchSize,
+        pollInterval = replicationOptions.pollInterval,
+        enableTracking = replicationOptions.enableTracking,
+        retentionDays = replicationOptions.retentionDays
+    } = options;
+    let sourcePool, targetPool;
+    let stopping = false;
+    let wake = null;
+    
+    const stop = () => {
+        if (!stopping) {
+            log.info('🛑 Stopping replication after the current poll...');
+        }
+        stopping = true;
+        if (wake) {
+            wake();
+        }
+    };
+    
+    try {
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        const statePath = path.resolve(replicationOptions.stateFile);
+        let replicationState = reset ? null : loadReplicationState(statePath);
+        if (replicationState) {
+            assertCheckpointMatches(replicationState, sourceConfig, targetConfig);
+            log.info(`📄 Resuming replication from version ${replicationState.version || 'none'} in ${statePath}`);
+        } else {
+            replicationState = { ...createCheckpoint(statePath, sourceConfig, targetConfig), version: null };
+        }
+        
+        log.info('🔌 Connecting to source database...');
+        sourcePool = await sql.connect(sourceConfig);
+        log.info('✅ Connected to source database');
+        
+        log.info('🔌 Connecting to target database...');
+        targetPool = new sql.ConnectionPool(targetConfig);
+        await targetPool.connect();
+        log.info('✅ Connected to target database');
+        
+        await assertSafeTarget(targetPool, { sourcePool, action: 'Replicating into the target' });
+        
+        const { tracked, untracked } = await ensureChangeTracking(sourcePool, filterObjects(await getTableList(sourcePool), filter), { enableTracking, retentionDays });
+        if (untracked.length > 0) {
+            log.warn(`⚠️  ${untracked.length} tables are not tracked and will not be replicated: ${untracked.join(', ')}`);
+        }
+        
+        const entries = [];
+        for (const table of tracked) {
+            const entry = await prepareTable(sourcePool, targetPool, table, schemaMap);
+            if (entry) {
+                entries.push(entry);
+            } else {
+                log.warn(`⚠️  Skipping ${table}: Change Tracking needs a primary key`, { table });
+            }
+        }
+        
+        const entriesByTarget = new Map(entries.map(entry => [entry.targetTable, entry]));
+        const sourceForeignKeys = (await getForeignKeys(sourcePool)).map(fk => ({
+            ...fk,
+            TABLE_NAME: mapTableName(fk.TABLE_NAME, schemaMap),
+            REFERENCED_TABLE_NAME: mapTableName(fk.REFERENCED_TABLE_NAME, schemaMap)
+        }));
+        const dependencyOrder = orderTablesByForeignKeys([...entriesByTarget.keys()], [...sourceForeignKeys, ...await getForeignKeys(targetPool)]);
+        reportForeignKeyCycles(dependencyOrder.cycles);
+        const orderedEntries = dependencyOrder.levels.flat().map(targetTable => entriesByTarget.get(targetTable));
+        
+        log.info(`🛰️  Replicating ${orderedEntries.length} tables${once ? ' once' : `, polling every ${pollInterval}ms (Ctrl+C to stop)`}`);
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        
+        const totals = { polls: 0, failedPolls: 0, upserted: 0, deleted: 0 };
+        let lastPollFailed = false;
+        
+        while (!stopping) {
+            const pollStartTime = Date.now();
+            try {
+                const applied = await replicateChanges(sourcePool, targetPool, orderedEntries, replicationState, batchSize);
+                totals.polls++;
+                totals.upserted += applied.upserted;
+                totals.deleted += applied.deleted;
+                lastPollFailed = false;
+                
+                const message = `🔁 Version ${applied.version}: ${applied.upserted.toLocaleString()} upserts, ${applied.deleted.toLocaleString()} deletes in ${applied.tables} tables`;
+                const fields = { version: applied.version, upserts: applied.upserted, deletes: applied.deleted, durationMs: Date.now() - pollStartTime };
+                if (applied.tables > 0) {
+                    log.info(message, fields);
+                } else {
+                    log.debug(message, fields);
+                }
+            } catch (error) {
+                totals.failedPolls++;
+                lastPollFailed = true;
+                log.error(`❌ Replication poll failed, retrying from version ${replicationState.version || 'none'}: ${error.message}`, { error: error.message });
+            }
+            
+            if (once) {
+                break;
+            }
+            
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, pollInterval);
+                wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            wake = null;
+        }
+        
+        log.info(`✅ Replication stopped at version ${replicationState.version || 'none'} (${totals.upserted.toLocaleString()} upserts, ${totals.deleted.toLocaleString()} deletes over ${totals.polls} polls)`);
+        
+        return {
+            success: !lastPollFailed,
+            version: replicationState.version,
+            tables: orderedEntries.length,
+            untrackedTables: untracked,
+            ...totals
+        };
+        
+    } catch (error) {
+        log.error(`💥 Replication failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        if (sourcePool) {
+            await sourcePool.close();
+            log.info('🔌 Source database connection closed');
+        }
+        if (targetPool) {
+            await targetPool.close();
+            log.info('🔌 Target database connection closed');
+        }
+    }
+}
+
+if (require.main === module) {
+    replicateDatabase({
+        once: process.argv.includes('--once'),
+        reset: process.argv.includes('--reset'),
+        enableTracking: process.argv.includes('--enable-tracking') || replicationOptions.enableTracking
+    })
+        .then(result => {
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
+}
+
+module.exports = { replicateDatabase };
\ No newline at end of file
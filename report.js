@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { sourceConfig, targetConfig, reportOptions } = require('./config');
+const { formatKeyRange } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('report');
+
+const REPORT_FORMATS = {
+    json: { extension: 'json', build: report => JSON.stringify(report, null, 2) },
+    junit: { extension: 'xml', build: buildJUnitReport },
+    html: { extension: 'html', build: buildHtmlReport }
+};
+
+const PASSING_STATUSES = ['MATCH'];
+
+function escapeMarkup(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatSeconds(durationMs) {
+    return ((durationMs || 0) / 1000).toFixed(3);
+}
+
+function toReportTable(result) {
+    return {
+        table: result.table,
+        status: result.status,
+        sourceRows: result.rowCount,
+        targetRows: result.targetRowCount === undefined ? null : result.targetRowCount,
+        durationMs: result.durationMs || 0,
+        issues: result.issues,
+        structure: result.structure || [],
+        ranges: result.ranges ? result.ranges.ranges.map(formatKeyRange) : undefined,
+        diff: result.diff,
+        fix: result.fix
+    };
+}
+
+function buildReport(kind, result) {
+    const tables = result.results.map(toReportTable);
+    
+    for (const table of result.missingInTarget || []) {
+        tables.push({
+            table,
+            status: 'MISSING',
+            sourceRows: null,
+            targetRows: null,
+            durationMs: 0,
+            issues: [{ type: 'MISSING', message: 'Table does not exist in target' }],
+            structure: []
+        });
+    }
+    
+    return {
+        kind,
+        generatedAt: new Date().toISOString(),
+        source: { server: sourceConfig.server, database: sourceConfig.database },
+        target: { server: targetConfig.server, database: targetConfig.database },
+        success: result.success,
+        durationMs: result.durationMs,
+        summary: result.summary || { fixed: result.fixed, remaining: result.remaining },
+        tables
+    };
+}
+
+function buildJUnitReport(report) {
+    const failures = report.tables.filter(table => !PASSING_STATUSES.includes(table.status) && table.status !== 'ERROR').length;
+    const errors = report.tables.filter(table => table.status === 'ERROR').length;
+    const suiteName = `${report.kind} ${report.source.server}/${report.source.database} -> ${report.target.server}/${report.target.database}`;
+    
+    const testCases = report.tables.map(table => {
+        const details = table.issues.map(issue => `${issue.type}: ${issue.message}`).join('\n');
+        const rows = `Source rows: ${table.sourceRows === null ? 'n/a' : table.sourceRows}, target rows: ${table.targetRows === null ? 'n/a' : table.targetRows}`;
+        const fix = table.fix ? `\nFix actions: ${table.fix.actions.join(', ') || 'none'}` : '';
+        const outcome = PASSING_STATUSES.includes(table.status)
+            ? ''
+            : `\n      <${table.status === 'ERROR' ? 'error' : 'failure'} type="${escapeMarkup(table.status)}" message="${escapeMarkup(table.issues.length > 0 ? table.issues[0].message : table.status)}">${escapeMarkup(details)}</${table.status === 'ERROR' ? 'error' : 'failure'}>`;
+            
+        return `    <testcase classname="${escapeMarkup(`${report.kind}.${table.table.split('.')[0]}`)}" name="${escapeMarkup(table.table)}" time="${formatSeconds(table.durationMs)}">${outcome}
+      <system-out>${escapeMarkup(rows + fix)}</system-out>
+    </testcase>`;
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="emergencyrestore" tests="${report.tables.length}" failures="${failures}" errors="${errors}" time="${formatSeconds(report.durationMs)}">`,
+        `  <testsuite name="${escapeMarkup(suiteName)}" tests="${report.tables.length}" failures="${failures}" errors="${errors}" time="${formatSeconds(report.durationMs)}" timestamp="${report.generatedAt}">`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+function buildHtmlReport(report) {
+    const rows = report.tables.map(table => {
+        const issues = table.issues.map(issue => `<li><strong>${escapeMarkup(issue.type)}</strong> ${escapeMarkup(issue.message)}</li>`).join('');
+        const fix = table.fix ? `<div class="fix">Fix: ${escapeMarkup(table.fix.actions.join(', ') || 'none')} (${formatSeconds(table.fix.durationMs)}s)</div>` : '';
+        return `<tr class="${PASSING_STATUSES.includes(table.status) ? 'pass' : 'fail'}">
+<td>${escapeMarkup(table.table)}</td>
+<td>${escapeMarkup(table.status)}</td>
+<td class="number">${escapeMarkup(table.sourceRows === null ? '' : table.sourceRows.toLocaleString())}</td>
+<td class="number">${escapeMarkup(table.targetRows === null ? '' : table.targetRows.toLocaleString())}</td>
+<td class="number">${formatSeconds(table.durationMs)}s</td>
+<td>${issues ? `<ul>${issues}</ul>` : ''}${fix}</td>
+</tr>`;
+    }).join('\n');
+    
+    const summary = Object.entries(report.summary)
+        .map(([name, value]) => `<li>${escapeMarkup(name)}: <strong>${escapeMarkup(value)}</strong></li>`)
+        .join('');
+        
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeMarkup(report.kind)} report ${escapeMarkup(report.generatedAt)}</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.result { font-size: 1.2em; font-weight: bold; color: ${report.success ? '#1a7f37' : '#cf222e'}; }
+table { border-collapse: collapse; width: 100%; margin-top: 1em; }
+th, td { border: 1px solid #d0d7de; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+tr.pass td:nth-child(2) { color: #1a7f37; }
+tr.fail td:nth-child(2) { color: #cf222e; font-weight: bold; }
+td.number { text-align: right; white-space: nowrap; }
+ul { margin: 0; padding-left: 1.2em; }
+.fix { color: #57606a; }
+</style>
+</head>
+<body>
+<h1>${escapeMarkup(report.kind)} report</h1>
+<p>Source <strong>${escapeMarkup(report.source.server)}/${escapeMarkup(report.source.database)}</strong>, target <strong>${escapeMarkup(report.target.server)}/${escapeMarkup(report.target.database)}</strong></p>
+<p>Generated ${escapeMarkup(report.generatedAt)} in ${formatSeconds(report.durationMs)}s</p>
+<p class="result">${report.success ? 'PASSED' : 'FAILED'}</p>
+<ul>${summary}</ul>
+<table>
+<thead><tr><th>Table</th><th>Status</th><th>Source rows</th><th>Target rows</th><th>Time</th><th>Issues</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function writeReports(kind, result, options = {}) {
+    const { directory = reportOptions.directory, formats = reportOptions.formats } = options;
+    if (!directory) {
+        return [];
+    }
+    
+    const report = buildReport(kind, result);
+    const timestamp = report.generatedAt.replace(/[:.]/g, '-');
+    const written = [];
+    
+    for (const format of formats) {
+        try {
+            const reportFormat = REPORT_FORMATS[format];
+            if (!reportFormat) {
+                throw new Error(`unknown format, expected ${Object.keys(REPORT_FORMATS).join(', ')}`);
+            }
+            
+            fs.mkdirSync(directory, { recursive: true });
+            const filePath = path.resolve(directory, `${kind}-${timestamp}.${reportFormat.extension}`);
+            fs.writeFileSync(filePath, reportFormat.build(report));
+            written.push(filePath);
+            log.info(`📄 Wrote ${format} report: ${filePath}`);
+        } catch (error) {
+            log.error(`❌ Could not write ${format} report: ${error.message}`, { error: error.message });
+        }
+    }
+    
+    return written;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    writeReports
+};
\ No newline at end of file
@@ -1,48 +1,112 @@
 const sql = require('mssql');
-const { sourceConfig, targetConfig } = require('./config');
-const { transferData, transferFunctions, transferViews } = require('./transfer');
-const { clearTargetDatabase } = require('./database');
+const { sourceConfig, targetConfig, transferOptions, validateConfig } = require('./config');
+const { transferData, transferIndexes, transferForeignKeys, transferProgrammableObjects, transferTriggers } = require('./transfer');
+const { getTableList, sumTableRows, clearTargetDatabase } = require('./database');
+const { filterObjects } = require('./utils');
+const { assertSafeTarget } = require('./safety');
+const { planRestore } = require('./plan');
+const { getCheckpointPath, createCheckpoint, loadCheckpoint, saveCheckpoint, removeCheckpoint, assertCheckpointMatches } = require('./checkpoint');
+const { createLogger } = require('./logger');
 
-async function restoreDatabase() {
+const log = createLogger('restore');
+
+async function restoreDatabase(options = {}) {
+    const { resume = false, dryRun = false } = options;
     let sourcePool, targetPool;
     
+    if (dryRun) {
+        return planRestore({ resume });
+    }
+    
     try {
-        console.log('🔌 Connecting to source database...');
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        const checkpointPath = getCheckpointPath();
+        let checkpoint;
+        
+        if (resume) {
+            checkpoint = loadCheckpoint(checkpointPath);
+            if (!checkpoint) {
+                throw new Error(`No checkpoint found at ${checkpointPath}, run without --resume to start a new restore`);
+            }
+            assertCheckpointMatches(checkpoint, sourceConfig, targetConfig);
+        }
+        
+        log.info('🔌 Connecting to source database...');
         sourcePool = await sql.connect(sourceConfig);
-        console.log('✅ Connected to source database');
+        log.info('✅ Connected to source database');
         
-        console.log('🔌 Connecting to target database...');
+        log.info('🔌 Connecting to target database...');
         targetPool = new sql.ConnectionPool(targetConfig);
         await targetPool.connect();
-        console.log('✅ Connected to target database');
+        log.info('✅ Connected to target database');
         
-        await clearTargetDatabase(targetPool);
+        if (resume) {
+            await assertSafeTarget(targetPool, { sourcePool, action: 'Resuming the restore' });
+            const doneTables = Object.entries(checkpoint.tables).filter(([id, state]) => !id.includes('#') && state.status === 'DONE').length;
+            log.info(`⏯️  Resuming restore from ${checkpointPath} (${doneTables} tables already done)`);
+        } else {
+            const clearedTables = filterObjects(await getTableList(targetPool), transferOptions.filter, transferOptions.schemaMap);
+            await assertSafeTarget(targetPool, { sourcePool, rowsToDelete: await sumTableRows(targetPool, clearedTables), action: 'Clearing the target' });
+            await clearTargetDatabase(targetPool, { tables: transferOptions.filter && clearedTables });
+            checkpoint = createCheckpoint(checkpointPath, sourceConfig, targetConfig);
+            saveCheckpoint(checkpoint);
+        }
+        
+        const dataResult = await transferData(sourcePool, targetPool, { ...transferOptions, checkpoint });
+        
+        await transferIndexes(sourcePool, targetPool, transferOptions);
+        await transferForeignKeys(sourcePool, targetPool, transferOptions);
         
-        await transferData(sourcePool, targetPool);
+        const objectSummary = await transferProgrammableObjects(sourcePool, targetPool, { types: ['FUNCTION', 'VIEW', 'PROCEDURE'], filter: transferOptions.filter, schemaMap: transferOptions.schemaMap });
         
-        await transferFunctions(sourcePool, targetPool);
+        const triggerSummary = await transferTriggers(sourcePool, targetPool, { filter: transferOptions.filter, schemaMap: transferOptions.schemaMap });
         
-        await transferViews(sourcePool, targetPool);
+        const failedObjects = objectSummary.failed + triggerSummary.failed;
+        if (failedObjects > 0) {
+            log.warn(`⚠️  ${failedObjects} programmable objects could not be created on the target`);
+        }
+        
+        const success = dataResult.failedTables.length === 0;
+        if (success) {
+            removeCheckpoint(checkpoint);
+            log.info('🎉 Database restore completed successfully!');
+        } else {
+            log.warn(`⚠️  Database restore finished with ${dataResult.failedTables.length} incomplete tables, run with --resume to retry them`);
+        }
         
-        console.log('🎉 Database restore completed successfully!');
+        return {
+            success,
+            transferred: dataResult.transferred,
+            failedTables: dataResult.failedTables,
+            objects: objectSummary,
+            triggers: triggerSummary
+        };
         
     } catch (error) {
-        console.error('💥 Database restore failed:', error.message);
-        process.exit(1);
+        log.error(`💥 Database restore failed: ${error.message}`, { error: error.message });
+        throw error;
     } finally {
         if (sourcePool) {
             await sourcePool.close();
-            console.log('🔌 Source database connection closed');
+            log.info('🔌 Source database connection closed');
         }
         if (targetPool) {
             await targetPool.close();
-            console.log('🔌 Target database connection closed');
+            log.info('🔌 Target database connection closed');
         }
     }
 }
 
 if (require.main === module) {
-    restoreDatabase();
+    restoreDatabase({ resume: process.argv.includes('--resume'), dryRun: process.argv.includes('--dry-run') })
+        .then(result => {
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
 }
 
 module.exports = { restoreDatabase };
\ No newline at end of file
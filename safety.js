@@ -0,0 +1,108 @@
+const readline = require('readline');
+const { sourceConfig, targetConfig, safetyOptions } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('safety');
+
+class SafetyError extends Error {
+    constructor(message, check) {
+        super(message);
+        this.name = 'SafetyError';
+        this.check = check;
+    }
+}
+
+function normalizeServer(server) {
+    return (server || '').trim().toLowerCase().replace(/^tcp:/, '').replace(/,\d+$/, '').replace(/\.$/, '');
+}
+
+function isSameDatabase(a, b) {
+    return normalizeServer(a.server) === normalizeServer(b.server) && (a.database || '').toLowerCase() === (b.database || '').toLowerCase();
+}
+
+async function getDatabaseIdentity(pool) {
+    const result = await pool.request().query('SELECT @@SERVERNAME AS server_name, DB_NAME() AS database_name');
+    const row = result.recordset[0];
+    return { server: row.server_name, database: row.database_name };
+}
+
+async function assertDifferentDatabases(sourcePool, targetPool) {
+    if (isSameDatabase(sourceConfig, targetConfig)) {
+        throw new SafetyError(`Source and target are both configured as ${targetConfig.server}/${targetConfig.database}, refusing to modify the source`, 'SAME_DATABASE');
+    }
+    
+    const source = await getDatabaseIdentity(sourcePool);
+    const target = await getDatabaseIdentity(targetPool);
+    if (source.server && isSameDatabase(source, target)) {
+        throw new SafetyError(`Source and target both resolve to ${target.server}/${target.database}, refusing to modify the source`, 'SAME_DATABASE');
+    }
+}
+
+function assertNotProtected(config) {
+    const match = safetyOptions.protectedDatabases.find(entry => {
+        const [server, database] = entry.includes('/') ? entry.split('/') : [null, entry];
+        return database.toLowerCase() === config.database.toLowerCase() && (!server || normalizeServer(server) === normalizeServer(config.server));
+    });
+    
+    if (match) {
+        throw new SafetyError(`Target ${config.server}/${config.database} is listed in PROTECTED_DATABASES (${match})`, 'PROTECTED');
+    }
+}
+
+function assertDeleteWithinLimit(rowsToDelete, action) {
+    if (rowsToDelete > safetyOptions.maxDeleteRows && !safetyOptions.allowLargeDelete) {
+        throw new SafetyError(
+            `${action} would delete ${rowsToDelete.toLocaleString()} rows, more than MAX_DELETE_ROWS (${safetyOptions.maxDeleteRows.toLocaleString()}); pass --allow-large-delete to continue`,
+            'ROW_LIMIT'
+        );
+    }
+}
+
+function ask(question) {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => {
+        prompt.question(question, answer => {
+            prompt.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function confirmTarget(config) {
+    if (safetyOptions.confirmTarget) {
+        if (safetyOptions.confirmTarget !== config.database) {
+            throw new SafetyError(`Confirmed target "${safetyOptions.confirmTarget}" does not match the configured target database "${config.database}"`, 'CONFIRMATION');
+        }
+        return;
+    }
+    
+    if (!process.stdin.isTTY) {
+        throw new SafetyError(`Target not confirmed, pass --confirm-target ${config.database} or set CONFIRM_TARGET=${config.database}`, 'CONFIRMATION');
+    }
+    
+    const answer = await ask(`⚠️  This will modify ${config.server}/${config.database}. Type the target database name to continue: `);
+    if (answer.trim() !== config.database) {
+        throw new SafetyError('Target database name was not confirmed', 'CONFIRMATION');
+    }
+    
+    safetyOptions.confirmTarget = config.database;
+}
+
+async function assertSafeTarget(targetPool, options = {}) {
+    const { sourcePool = null, rowsToDelete = 0, action = 'This operation' } = options;
+    log.info(`🛡️  Running safety checks on ${targetConfig.server}/${targetConfig.database}...`);
+    
+    assertNotProtected(targetConfig);
+    if (sourcePool) {
+        await assertDifferentDatabases(sourcePool, targetPool);
+    }
+    assertDeleteWithinLimit(rowsToDelete, action);
+    await confirmTarget(targetConfig);
+    
+    log.info('✅ Safety checks passed');
+}
+
+module.exports = {
+    SafetyError,
+    assertSafeTarget
+};
\ No newline at end of file
@@ -1,45 +1,91 @@
 const sql = require('mssql');
-const { sourceConfig, targetConfig } = require('./config');
-const { getTableList, getTableSchema } = require('./database');
+const { sourceConfig, targetConfig, transferOptions, structureOptions, backupOptions, validateConfig } = require('./config');
+const { getTableList, sumTableRows } = require('./database');
+const { filterObjects, mapTableName } = require('./utils');
+const { compareTableStructure } = require('./verifier');
+const { fixTableStructure } = require('./fixer');
+const { loadLedger, needsBackup, runWithBackup } = require('./backups');
+const { planStructureFix } = require('./plan');
+const { assertSafeTarget } = require('./safety');
+const { createLogger } = require('./logger');
 
-async function fixAppBinaryObjectsStructure(sourcePool, targetPool) {
-    console.log('🔧 Fixing AppBinaryObjects structure...');
-    
-    try {
-        console.log('🔄 Recreating table with correct structure...');
-        await targetPool.request().query(`DROP TABLE IF EXISTS [AppBinaryObjects]`);
-        
-        await targetPool.request().query(`
-            CREATE TABLE [AppBinaryObjects] (
-                [Id] UNIQUEIDENTIFIER NOT NULL,
-                [Bytes] VARBINARY(MAX),
-                [TenantId] INT,
-                PRIMARY KEY ([Id])
-            )
-        `);
-        console.log('✅ Recreated AppBinaryObjects table with correct structure');
-    } catch (error) {
-        console.error('❌ Failed to recreate AppBinaryObjects table:', error.message);
-        throw error;
-    }
-}
+const log = createLogger('structure-fixer');
 
-async function fixStructureIssues() {
+async function fixStructureIssues(options = {}) {
+    const {
+        schemaMap = transferOptions.schemaMap,
+        filter = transferOptions.filter,
+        recreate = structureOptions.recreate,
+        dropColumns = structureOptions.dropColumns,
+        approveDataLoss = structureOptions.approveDataLoss,
+        skipBackup = backupOptions.skip,
+        dryRun = false
+    } = options;
     let sourcePool, targetPool;
     
+    if (dryRun) {
+        return planStructureFix({ schemaMap, filter, recreate, dropColumns, approveDataLoss, skipBackup });
+    }
+    
     try {
-        console.log('🔌 Connecting to databases...');
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        const ledger = skipBackup ? null : loadLedger();
+        
+        log.info('🔌 Connecting to databases...');
         sourcePool = await sql.connect(sourceConfig);
         targetPool = new sql.ConnectionPool(targetConfig);
         await targetPool.connect();
-        console.log('✅ Connected to both databases');
+        log.info('✅ Connected to both databases');
+        
+        log.info('🔍 Comparing table structures...');
+        const targetTables = new Set(await getTableList(targetPool));
+        const tables = [];
+        for (const table of filterObjects(await getTableList(sourcePool), filter)) {
+            const targetTable = mapTableName(table, schemaMap);
+            if (targetTables.has(targetTable) && (await compareTableStructure(sourcePool, targetPool, table, targetTable)).length > 0) {
+                tables.push(table);
+            }
+        }
+        
+        if (tables.length === 0) {
+            log.info('✅ All table structures match');
+            return { success: true, tables: [] };
+        }
         
-        await fixAppBinaryObjectsStructure(sourcePool, targetPool);
+        log.info(`🔧 Found ${tables.length} tables with structure differences`);
+        const rowsToDelete = recreate ? await sumTableRows(targetPool, tables.map(table => mapTableName(table, schemaMap))) : 0;
+        await assertSafeTarget(targetPool, { sourcePool, rowsToDelete, action: recreate ? 'Recreating target tables' : 'Altering target tables' });
+        
+        const results = [];
+        for (const table of tables) {
+            results.push(await runWithBackup(targetPool, ledger, mapTableName(table, schemaMap), { source: table, command: 'fix-structure' }, async backups => {
+                const result = await fixTableStructure(sourcePool, targetPool, table, {
+                    schemaMap,
+                    recreate,
+                    dropColumns,
+                    approveDataLoss,
+                    beforeApply: changes => needsBackup(changes) ? backups.take() : null
+                });
+                
+                if (result.changes.some(change => change.status === 'FAILED')) {
+                    await backups.rollback(`Structure changes to ${result.targetTable} failed`);
+                }
+                return { ...result, backupTable: backups.backup ? backups.backup.backupTable : null, rolledBack: backups.rolledBack };
+            }));
+        }
+        
+        const unresolved = results.filter(result => !result.reconciled);
+        if (unresolved.length === 0) {
+            log.info('🎉 Structure fixes completed!');
+        } else {
+            log.warn(`⚠️  ${unresolved.length} tables still differ: ${unresolved.map(result => result.targetTable).join(', ')}`);
+        }
         
-        console.log('🎉 Structure fixes completed!');
+        return { success: unresolved.length === 0, tables: results };
         
     } catch (error) {
-        console.error('💥 Structure fix failed:', error.message);
+        log.error(`💥 Structure fix failed: ${error.message}`, { error: error.message });
         throw error;
     } finally {
         if (sourcePool) {
@@ -52,15 +98,18 @@ async function fixStructureIssues() {
 }
 
 if (require.main === module) {
-    fixStructureIssues()
-        .then(() => {
-            console.log('✅ Run fixer.js again to complete data fixes');
-            process.exit(0);
+    const dryRun = process.argv.includes('--dry-run');
+    fixStructureIssues({ dryRun })
+        .then(result => {
+            if (!dryRun) {
+                log.info('✅ Run fixer.js again to complete data fixes');
+            }
+            process.exit(result.success ? 0 : 1);
         })
         .catch(error => {
-            console.error('Structure fixer failed:', error.message);
+            log.error(`Structure fixer failed: ${error.message}`, { error: error.message });
             process.exit(1);
         });
 }
 
-module.exports = { fixStructureIssues, fixAppBinaryObjectsStructure };
\ No newline at end of file
+module.exports = { fixStructureIssues };
\ No newline at end of file
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const { sourceConfig, targetConfig, transferOptions, syncOptions, validateConfig } = require('./config');
+const { executeWithRetry, runWithConcurrency, filterObjects, mapTableName, quoteIdentifier, quoteTableName, encodeValue, decodeValue } = require('./utils');
+const { getTableList, getTableSchema, getPagingKey, fetchChangedBatch, createTableIfNotExists, upsertData, reseedIdentity, getForeignKeys, orderTablesByForeignKeys, getCycleForeignKeys, reportForeignKeyCycles, setForeignKeysEnabled } = require('./database');
+const { getTableDefinition, mapDefinition } = require('./ddl');
+const { createCheckpoint, assertCheckpointMatches } = require('./checkpoint');
+const { assertSafeTarget } = require('./safety');
+const { createLogger } = require('./logger');
+
+const log = createLogger('sync');
+
+const MODIFIED_COLUMN_TYPES = ['date', 'datetime', 'datetime2', 'smalldatetime'];
+
+function loadSyncState(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const state of Object.values(data.tables)) {
+        state.watermark = decodeValue(state.watermark);
+    }
+    
+    return { ...data, filePath };
+}
+
+function saveSyncState(syncState) {
+    const { filePath, ...data } = syncState;
+    data.updatedAt = new Date().toISOString();
+    
+    const tables = {};
+    for (const [table, state] of Object.entries(data.tables)) {
+        tables[table] = { ...state, watermark: encodeValue(state.watermark) };
+    }
+    
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...data, tables }, null, 2));
+    fs.renameSync(tempPath, filePath);
+    syncState.updatedAt = data.updatedAt;
+}
+
+function getChangeTracking(schema, modifiedColumns) {
+    const rowversion = schema.find(col => ['timestamp', 'rowversion'].includes(col.DATA_TYPE.toLowerCase()));
+    if (rowversion) {
+        return {
+            column: rowversion.COLUMN_NAME,
+            expression: quoteIdentifier(rowversion.COLUMN_NAME),
+            type: sql.Binary(8),
+            rowversion: true
+        };
+    }
+    
+    const columns = modifiedColumns
+        .map(name => schema.find(col => col.COLUMN_NAME.toLowerCase() === name.toLowerCase()))
+        .filter(col => col && MODIFIED_COLUMN_TYPES.includes(col.DATA_TYPE.toLowerCase()));
+    if (columns.length === 0) {
+        return null;
+    }
+    
+    const names = columns.map(col => quoteIdentifier(col.COLUMN_NAME));
+    return {
+        column: columns.map(col => col.COLUMN_NAME).join(', '),
+        expression: names.length === 1 ? names[0] : `(SELECT MAX(changed_at) FROM (VALUES ${names.map(name => `(${name})`).join(', ')}) AS modified(changed_at))`,
+        type: sql.DateTime2(7),
+        rowversion: false
+    };
+}
+
+async function getHighWaterMark(pool, table, tracking, safetyLag) {
+    // Rowversions below MIN_ACTIVE_ROWVERSION() belong to committed transactions, so rows still
+    // being written are left for the next run instead of being skipped by the stored mark
+    if (tracking.rowversion) {
+        const result = await pool.request().query('SELECT CAST(CAST(MIN_ACTIVE_ROWVERSION() AS BIGINT) - 1 AS BINARY(8)) AS high_water_mark');
+        const { high_water_mark: highWaterMark } = result.recordset[0];
+        return { upTo: highWaterMark, watermark: highWaterMark };
+    }
+    
+    // A date column is set when the row is written but only visible once it commits, so a row that commits
+    // late can carry an older time than MAX(); the stored mark trails by safetyLag seconds to read those again
+    const request = pool.request();
+    request.input('safetyLag', sql.Int, safetyLag);
+    const result = await request.query(`
+        SELECT MAX(${tracking.expression}) AS high_water_mark, DATEADD(SECOND, -@safetyLag, MAX(${tracking.expression})) AS safe_mark
+        FROM ${quoteTableName(table)}
+    `);
+    return { upTo: result.recordset[0].high_water_mark, watermark: result.recordset[0].safe_mark };
+}
+
+async function syncTable(sourcePool, targetPool, table, syncState, options) {
+    const { schemaMap, batchSize, modifiedColumns, safetyLag } = options;
+    const startTime = Date.now();
+    
+    const schema = await getTableSchema(sourcePool, table);
+    const tracking = getChangeTracking(schema, modifiedColumns);
+    if (!tracking) {
+        return { table, skipped: `no rowversion${modifiedColumns.length > 0 ? ` or ${modifiedColumns.join('/')}` : ''} column` };
+    }
+    
+    const pagingKey = await getPagingKey(sourcePool, table, schema);
+    if (pagingKey.strategy === 'PHYSLOC') {
+        return { table, skipped: 'no primary key or unique index to merge on' };
+    }
+    
+    const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+    const targetTable = definition.name;
+    await createTableIfNotExists(targetPool, targetTable, definition);
+    
+    const tableState = syncState.tables[table];
+    const after = tableState && tableState.column === tracking.column ? tableState.watermark : null;
+    const { upTo, watermark } = await getHighWaterMark(sourcePool, table, tracking, safetyLag);
+    
+    if (upTo === null) {
+        return { table, rows: 0, durationMs: Date.now() - startTime };
+    }
+    
+    if (after === null) {
+        log.info(`🆕 ${table}: no high-water mark for ${tracking.column} yet, merging every row`, { table });
+    }
+    
+    const keyColumns = pagingKey.columns.map(col => col.name);
+    let lastKey = null;
+    let syncedCount = 0;
+    
+    while (true) {
+        const batchStartTime = Date.now();
+        const batch = await executeWithRetry(() =>
+            fetchChangedBatch(sourcePool, table, pagingKey, lastKey, batchSize, { ...tracking, after, upTo })
+        );
+        
+        if (batch.rows.length === 0) {
+            break;
+        }
+        
+        await executeWithRetry(() => upsertData(targetPool, targetTable, schema, keyColumns, batch.rows));
+        syncedCount += batch.rows.length;
+        lastKey = batch.lastKey;
+        
+        log.debug(`   🔁 ${table}: ${syncedCount.toLocaleString()} changed rows merged`, {
+            table,
+            offset: syncedCount - batch.rows.length,
+            rows: batch.rows.length,
+            durationMs: Date.now() - batchStartTime
+        });
+        
+        if (batch.rows.length < batchSize) {
+            break;
+        }
+    }
+    
+    if (syncedCount > 0) {
+        await reseedIdentity(sourcePool, targetPool, table, targetTable);
+    }
+    
+    syncState.tables[table] = { column: tracking.column, watermark, syncedAt: new Date().toISOString(), rows: syncedCount };
+    saveSyncState(syncState);
+    
+    return { table, rows: syncedCount, durationMs: Date.now() - startTime };
+}
+
+async function syncDatabase(options = {}) {
+    const {
+        reset = false,
+        filter = transferOptions.filter,
+        schemaMap = transferOptions.schemaMap,
+        batchSize = transferOptions.batchSize,
+        concurrency = transferOptions.concurrency,
+        modifiedColumns = syncOptions.modifiedColumns,
+        safetyLag = syncOptions.safetyLag
+    } = options;
+    const startTime = Date.now();
+    let sourcePool, targetPool;
+    
+    try {
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        const statePath = path.resolve(syncOptions.stateFile);
+        let syncState = reset ? null : loadSyncState(statePath);
+        if (syncState) {
+            assertCheckpointMatches(syncState, sourceConfig, targetConfig);
+            log.info(`📄 Syncing changes since the high-water marks in ${statePath}`);
+        } else {
+            syncState = createCheckpoint(statePath, sourceConfig, targetConfig);
+            log.info(`📄 ${reset ? 'Ignoring' : 'No'} sync state at ${statePath}, every tracked table is merged in full`);
+        }
+        
+        log.info('🔌 Connecting to source database...');
+        sourcePool = await sql.connect(sourceConfig);
+        log.info('✅ Connected to source database');
+        
+        log.info('🔌 Connecting to target database...');
+        targetPool = new sql.ConnectionPool(targetConfig);
+        await targetPool.connect();
+        log.info('✅ Connected to target database');
+        
+        await assertSafeTarget(targetPool, { sourcePool, action: 'Syncing the target' });
+        
+        const tables = filterObjects(await getTableList(sourcePool), filter);
+        const sourceTablesByTarget = new Map(tables.map(table => [mapTableName(table, schemaMap), table]));
+        const targetForeignKeys = await getForeignKeys(targetPool);
+        const sourceForeignKeys = (await getForeignKeys(sourcePool)).map(fk => ({
+            ...fk,
+            TABLE_NAME: mapTableName(fk.TABLE_NAME, schemaMap),
+            REFERENCED_TABLE_NAME: mapTableName(fk.REFERENCED_TABLE_NAME, schemaMap)
+        }));
+        const dependencyOrder = orderTablesByForeignKeys([...sourceTablesByTarget.keys()], [...sourceForeignKeys, ...targetForeignKeys]);
+        reportForeignKeyCycles(dependencyOrder.cycles);
+        
+        log.info(`🔄 Syncing ${tables.length} tables with ${concurrency} worker(s)...`);
+        const cycleForeignKeys = getCycleForeignKeys(targetForeignKeys, dependencyOrder.cycles);
+        await setForeignKeysEnabled(targetPool, cycleForeignKeys, false);
+        
+        const results = [];
+        try {
+            for (const level of dependencyOrder.levels) {
+                const levelTables = level.map(targetTable => sourceTablesByTarget.get(targetTable));
+                results.push(...await runWithConcurrency(levelTables, concurrency, table =>
+                    syncTable(sourcePool, targetPool, table, syncState, { schemaMap, batchSize, modifiedColumns, safetyLag })
+                ));
+            }
+        } finally {
+            await setForeignKeysEnabled(targetPool, cycleForeignKeys, true);
+        }
+        
+        const skippedTables = [];
+        const failedTables = [];
+        let syncedRows = 0;
+        
+        for (const result of results) {
+            if (result.status === 'rejected') {
+                failedTables.push({ table: result.item, error: result.error.message });
+                log.error(`❌ Error syncing table ${result.item}: ${result.error.message}`, { table: result.item, error: result.error.message });
+            } else if (result.value.skipped) {
+                skippedTables.push({ table: result.item, reason: result.value.skipped });
+                log.warn(`⏭️  Skipped ${result.item}: ${result.value.skipped}`, { table: result.item });
+            } else {
+                syncedRows += result.value.rows;
+                log.info(`✅ ${result.item}: ${result.value.rows.toLocaleString()} rows merged in ${(result.value.durationMs / 1000).toFixed(1)}s`, {
+                    table: result.item,
+                    rows: result.value.rows,
+                    durationMs: result.value.durationMs
+                });
+            }
+        }
+        
+        const success = failedTables.length === 0;
+        const durationMs = Date.now() - startTime;
+        if (success) {
+            log.info(`🎉 Sync completed: ${syncedRows.toLocaleString()} rows merged into ${tables.length - skippedTables.length} tables in ${(durationMs / 1000).toFixed(1)}s`);
+        } else {
+            log.warn(`⚠️  Sync finished with ${failedTables.length} failed tables, their high-water marks were kept: ${failedTables.map(failure => failure.table).join(', ')}`);
+        }
+        if (skippedTables.length > 0) {
+            log.warn(`⚠️  ${skippedTables.length} tables cannot be synced incrementally, run a restore to refresh them: ${skippedTables.map(skipped => skipped.table).join(', ')}`);
+        }
+        
+        return { success, tables: tables.length, synced: syncedRows, skippedTables, failedTables, durationMs };
+        
+    } catch (error) {
+        log.error(`💥 Database sync failed: ${error.message}`, { error: error.message });
+        throw error;
+    } finally {
+        if (sourcePool) {
+            await sourcePool.close();
+            log.info('🔌 Source database connection closed');
+        }
+        if (targetPool) {
+            await targetPool.close();
+            log.info('🔌 Target database connection closed');
+        }
+    }
+}
+
+if (require.main === module) {
+    syncDatabase({ reset: process.argv.includes('--reset') })
+        .then(result => {
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(() => {
+            process.exit(1);
+        });
+}
+
+module.exports = { syncDatabase };
\ No newline at end of file
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getExactColumns, getDecimalTextColumns, encodeArchiveRow, decodeArchiveRecord, parseExactDateTime } = require('../archive');
+const { encodeValue, decodeValue } = require('../utils');
+
+const columns = [
+    { COLUMN_NAME: 'Id', DATA_TYPE: 'int' },
+    { COLUMN_NAME: 'Amount', DATA_TYPE: 'decimal' },
+    { COLUMN_NAME: 'CreatedAt', DATA_TYPE: 'datetime2' },
+    { COLUMN_NAME: 'Payload', DATA_TYPE: 'varbinary' }
+];
+
+const roundTrip = row => JSON.parse(JSON.stringify(encodeArchiveRow(row, columns, getExactColumns(columns))));
+
+test('parseExactDateTime keeps the sub-millisecond digits as nanosecondDelta', () => {
+    const date = parseExactDateTime('2024-02-29 13:45:10.1234567');
+    
+    assert.strictEqual(date.toISOString(), '2024-02-29T13:45:10.123Z');
+    assert.strictEqual(date.nanosecondDelta, 0.0004567);
+});
+
+test('parseExactDateTime applies datetimeoffset offsets and reads time values on 1970-01-01', () => {
+    assert.strictEqual(parseExactDateTime('2024-01-01 00:30:00.0000000 +02:00').toISOString(), '2023-12-31T22:30:00.000Z');
+    assert.strictEqual(parseExactDateTime('2024-01-01 00:30:00 -01:30').toISOString(), '2024-01-01T02:00:00.000Z');
+    
+    const time = parseExactDateTime('23:59:59.9999999');
+    assert.strictEqual(time.toISOString(), '1970-01-01T23:59:59.999Z');
+    assert.strictEqual(time.nanosecondDelta, 0.0009999);
+});
+
+test('datetime2 values round-trip through the archive with sub-millisecond precision', () => {
+    const row = { Id: 1, Amount: 1, CreatedAt: new Date('2024-05-01T08:00:00.123Z'), Payload: null, __exact1: '1.00', __exact2: '2024-05-01 08:00:00.1234567' };
+    const decoded = decodeArchiveRecord(roundTrip(row), columns);
+    
+    assert.strictEqual(decoded.CreatedAt.toISOString(), '2024-05-01T08:00:00.123Z');
+    assert.strictEqual(decoded.CreatedAt.nanosecondDelta, 0.0004567);
+});
+
+test('decimals round-trip through the archive as text without rounding', () => {
+    const exact = '12345678901234567890123456789.123456789';
+    const row = { Id: 2, Amount: Number(exact), CreatedAt: null, Payload: Buffer.from('ff00', 'hex'), __exact1: exact, __exact2: null };
+    const decoded = decodeArchiveRecord(roundTrip(row), columns);
+    
+    assert.strictEqual(decoded.Amount, exact);
+    assert.strictEqual(decoded.CreatedAt, null);
+    assert.deepStrictEqual(decoded.Payload, Buffer.from('ff00', 'hex'));
+    assert.deepStrictEqual(getDecimalTextColumns(columns), ['Amount']);
+});
+
+test('columns missing from a record decode as NULL', () => {
+    assert.deepStrictEqual(decodeArchiveRecord({ Id: 3 }, columns), { Id: 3, Amount: null, CreatedAt: null, Payload: null });
+});
+
+test('encodeValue and decodeValue keep the nanosecond delta of key values', () => {
+    const date = new Date('2024-05-01T08:00:00.123Z');
+    date.nanosecondDelta = 0.0004567;
+    const decoded = decodeValue(JSON.parse(JSON.stringify(encodeValue(date))));
+    
+    assert.strictEqual(decoded.getTime(), date.getTime());
+    assert.strictEqual(decoded.nanosecondDelta, 0.0004567);
+    assert.deepStrictEqual(decodeValue(encodeValue(Buffer.from('abc'))), Buffer.from('abc'));
+    assert.strictEqual(decodeValue(encodeValue('text')), 'text');
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCommandLine, UsageError } = require('../cli');
+
+const assertUsageError = (argv, message) => assert.throws(() => parseCommandLine(argv), error => error instanceof UsageError && message.test(error.message));
+
+test('parses the command, its arguments and options', () => {
+    const { commandName, options, args } = parseCommandLine(['import', './archive', '--batch-size', '500', '--filter', 'App*']);
+    
+    assert.strictEqual(commandName, 'import');
+    assert.deepStrictEqual(args, ['./archive']);
+    assert.strictEqual(options['batch-size'], '500');
+    assert.strictEqual(options.filter, 'App*');
+});
+
+test('asks for help without a command, with --help and with the help command', () => {
+    assert.strictEqual(parseCommandLine([]).help, true);
+    assert.deepStrictEqual(parseCommandLine(['sync', '-h']), { help: true, version: undefined, commandName: 'sync' });
+    assert.deepStrictEqual(parseCommandLine(['help', 'restore']), { help: true, commandName: 'restore' });
+    assert.strictEqual(parseCommandLine(['--version']).version, true);
+});
+
+test('rejects unknown commands and options', () => {
+    assertUsageError(['transfer'], /Unknown command "transfer"/);
+    assertUsageError(['restore', '--no-such-option'], /no-such-option/);
+});
+
+test('rejects command options the command does not support', () => {
+    assertUsageError(['verify', '--resume'], /--resume is not supported by "verify"/);
+});
+
+test('requires positive whole numbers for batch size and concurrency', () => {
+    assertUsageError(['restore', '--batch-size', '0'], /--batch-size must be a positive whole number/);
+    assertUsageError(['restore', '--concurrency', '2.5'], /--concurrency must be a positive whole number/);
+    assertUsageError(['restore', '--concurrency', 'four'], /--concurrency must be a positive whole number/);
+});
+
+test('accepts a safety lag of zero but no other non-numbers', () => {
+    assert.strictEqual(parseCommandLine(['sync', '--safety-lag', '0']).options['safety-lag'], '0');
+    assert.strictEqual(parseCommandLine(['sync', '--safety-lag', '120']).options['safety-lag'], '120');
+    assertUsageError(['sync', '--safety-lag', '1.5'], /--safety-lag must be a non-negative whole number/);
+});
+
+test('rejects values outside an option\'s choices', () => {
+    assert.strictEqual(parseCommandLine(['verify', '--checksum', 'sha256']).options.checksum, 'sha256');
+    assertUsageError(['verify', '--checksum', 'md5'], /--checksum must be checksum or sha256/);
+});
+
+test('requires the arguments a command needs', () => {
+    assertUsageError(['rollback'], /Missing argument: emergencyrestore rollback <table\|backup-table\.\.\.>/);
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { orderByDependencies, parseObjectFilter, filterObjects, parseSchemaMap, matchesFilter } = require('../utils');
+
+const dependencyMap = edges => item => edges[item] || [];
+
+test('orderByDependencies puts dependencies on earlier levels', () => {
+    const { levels, cycles } = orderByDependencies(['dbo.OrderLines', 'dbo.Orders', 'dbo.Customers'], dependencyMap({
+        'dbo.OrderLines': ['dbo.Orders'],
+        'dbo.Orders': ['dbo.Customers']
+    }));
+    
+    assert.deepStrictEqual(levels, [['dbo.Customers'], ['dbo.Orders'], ['dbo.OrderLines']]);
+    assert.deepStrictEqual(cycles, []);
+});
+
+test('orderByDependencies keeps independent items on one level in input order', () => {
+    const { levels } = orderByDependencies(['b', 'a', 'c'], dependencyMap({ c: ['a'] }));
+    
+    assert.deepStrictEqual(levels, [['b', 'a'], ['c']]);
+});
+
+test('orderByDependencies ignores self references and unknown dependencies', () => {
+    const { levels, cycles } = orderByDependencies(['a', 'b'], dependencyMap({ a: ['a', 'missing'], b: ['a'] }));
+    
+    assert.deepStrictEqual(levels, [['a'], ['b']]);
+    assert.deepStrictEqual(cycles, []);
+});
+
+test('orderByDependencies reports cycles and places them on one level', () => {
+    const { levels, cycles } = orderByDependencies(['a', 'b', 'c', 'd'], dependencyMap({
+        a: ['b'],
+        b: ['a'],
+        c: ['a'],
+        d: []
+    }));
+    
+    assert.deepStrictEqual(cycles, [['a', 'b']]);
+    assert.deepStrictEqual(levels, [['a', 'b', 'd'], ['c']]);
+});
+
+test('parseObjectFilter returns null without patterns', () => {
+    assert.strictEqual(parseObjectFilter(''), null);
+    assert.strictEqual(parseObjectFilter(' , '), null);
+    assert.strictEqual(parseObjectFilter(undefined), null);
+});
+
+test('unqualified patterns match the object name in any schema', () => {
+    const filter = parseObjectFilter('App*,!AppLog?');
+    
+    assert.deepStrictEqual(
+        filterObjects(['dbo.Apps', 'sales.AppUsers', 'dbo.AppLogs', 'dbo.Orders'], filter),
+        ['dbo.Apps', 'sales.AppUsers']
+    );
+});
+
+test('qualified patterns match schema and name', () => {
+    const filter = parseObjectFilter('sales.*, !sales.Audit*');
+    
+    assert.deepStrictEqual(
+        filterObjects(['sales.Orders', 'sales.AuditTrail', 'dbo.Orders'], filter),
+        ['sales.Orders']
+    );
+});
+
+test('patterns match case-insensitively and exclusions apply without inclusions', () => {
+    const filter = parseObjectFilter('!*log');
+    
+    assert.strictEqual(matchesFilter('dbo.AuditLog', filter), false);
+    assert.strictEqual(matchesFilter('dbo.Orders', filter), true);
+    assert.strictEqual(matchesFilter('dbo.Orders', parseObjectFilter('ORDERS')), true);
+});
+
+test('filterObjects matches target names under their source schema when SCHEMA_MAP is set', () => {
+    const filter = parseObjectFilter('legacy.*,!*Log');
+    const schemaMap = parseSchemaMap('legacy:archive');
+    
+    assert.deepStrictEqual(
+        filterObjects(['archive.Orders', 'archive.AuditLog', 'dbo.Orders'], filter, schemaMap),
+        ['archive.Orders']
+    );
+    assert.deepStrictEqual(filterObjects(['archive.Orders'], filter), []);
+});
+
+test('parseSchemaMap rejects entries without a target schema', () => {
+    assert.deepStrictEqual(parseSchemaMap('legacy:archive, old : new'), { legacy: 'archive', old: 'new' });
+    assert.throws(() => parseSchemaMap('legacy'), /Invalid schema mapping "legacy"/);
+});
\ No newline at end of file
@@ -1,149 +1,539 @@
-const { executeWithRetry, formatProgress, calculateETA } = require('./utils');
-const { getTableList, getTableSchema, createTableIfNotExists, bulkInsertData, getFunctions, getViews } = require('./database');
+const { executeWithRetry, formatProgress, calculateETA, createProgressTracker, createLimiter, runWithConcurrency, orderByDependencies, matchesFilter, filterObjects, parseTableName, quoteIdentifier, quoteTableName, mapTableName } = require('./utils');
+const { getTableList, getTableSchema, ensureSchema, getPagingKey, readBatches, deleteKeyRange, getKeyRangeBoundaries, getTableRowCounts, createTableIfNotExists, createMissingIndexes, bulkInsertData, reseedIdentity, getProgrammableObjects, getObjectDependencies, objectExists, getForeignKeys, orderTablesByForeignKeys, getCycleForeignKeys, reportForeignKeyCycles, setForeignKeysEnabled, withTableTriggersDisabled } = require('./database');
+const { getTableDefinition, mapDefinition, generateForeignKeySQL } = require('./ddl');
+const { getTableState, getRangeId, recordTableRanges, recordTableProgress, markTableDone } = require('./checkpoint');
+const { createLogger } = require('./logger');
 
-async function transferTableData(sourcePool, targetPool, table) {
+const log = createLogger('transfer');
+
+const DEFAULT_BATCH_SIZE = 10000;
+
+function planKeyRanges(table, boundaries) {
+    if (!boundaries || boundaries.length === 0) {
+        return [{ id: table, afterKey: null, upToKey: null }];
+    }
+    
+    return [...boundaries, null].map((upToKey, i) => ({
+        id: getRangeId(table, i),
+        afterKey: i === 0 ? null : boundaries[i - 1],
+        upToKey
+    }));
+}
+
+async function transferKeyRange(sourcePool, targetPool, table, schema, pagingKey, range, context) {
+    const { checkpoint, batchSize, progress, tableProgress, targetTable } = context;
+    const rangeState = getTableState(checkpoint, range.id);
+    
+    if (rangeState && rangeState.status === 'DONE') {
+        tableProgress.inserted += rangeState.transferred;
+        progress.add(rangeState.transferred);
+        return { transferred: rangeState.transferred, completed: true };
+    }
+    
+    let lastKey = range.afterKey;
+    let insertedCount = 0;
+    
+    if (rangeState) {
+        const resumeKey = pagingKey.strategy === 'PHYSLOC' ? null : rangeState.lastKey || range.afterKey;
+        const removedRows = await deleteKeyRange(targetPool, targetTable, pagingKey, resumeKey, range.upToKey);
+        
+        if (resumeKey === range.afterKey) {
+            log.info(`↩️  ${range.id} cannot be resumed by key, restarting it from the beginning`);
+        } else {
+            lastKey = resumeKey;
+            insertedCount = rangeState.transferred;
+            tableProgress.inserted += insertedCount;
+            progress.add(insertedCount);
+            log.info(`⏯️  Resuming ${range.id} after ${insertedCount.toLocaleString()} rows (removed ${removedRows.toLocaleString()} uncommitted rows)`);
+        }
+    }
+    
+    recordTableProgress(checkpoint, range.id, lastKey, insertedCount);
+    
+    let batchStartTime = Date.now();
+    for await (const sourceData of readBatches(sourcePool, table, pagingKey, { afterKey: lastKey, upToKey: range.upToKey, batchSize })) {
+        try {
+            await executeWithRetry(() => 
+                bulkInsertData(targetPool, targetTable, schema, sourceData.rows)
+            );
+        } catch (error) {
+            log.error(`❌ Error bulk inserting batch for table ${table}: ${error.message}`, { table, range: range.id, offset: insertedCount, rows: sourceData.rows.length, error: error.message });
+            return { transferred: insertedCount, completed: false };
+        }
+        
+        insertedCount += sourceData.rows.length;
+        tableProgress.inserted += sourceData.rows.length;
+        progress.add(sourceData.rows.length);
+        
+        lastKey = sourceData.lastKey;
+        recordTableProgress(checkpoint, range.id, lastKey, insertedCount);
+        
+        const { inserted, total, startTime } = tableProgress;
+        const percentage = Math.min((inserted / total) * 100, 100);
+        const avgRowsPerSecond = inserted / ((Date.now() - startTime) / 1000);
+        const estimatedMinutesLeft = calculateETA(Math.min(inserted, total), total, startTime);
+        
+        log.debug(`   🚀 ${table}: ${formatProgress(inserted, total, percentage)} | Speed: ${Math.round(avgRowsPerSecond).toLocaleString()} rows/sec | ETA: ${estimatedMinutesLeft}min`, {
+            table,
+            range: range.id,
+            offset: insertedCount - sourceData.rows.length,
+            rows: sourceData.rows.length,
+            durationMs: Date.now() - batchStartTime
+        });
+        batchStartTime = Date.now();
+    }
+    
+    if (range.id !== table) {
+        markTableDone(checkpoint, range.id, insertedCount);
+    }
+    
+    return { transferred: insertedCount, completed: true };
+}
+
+async function transferTableData(sourcePool, targetPool, table, options = {}) {
+    const {
+        checkpoint = null,
+        schemaMap = {},
+        batchSize = DEFAULT_BATCH_SIZE,
+        rangesPerTable = 1,
+        splitThreshold = Infinity,
+        progress = { add() {} },
+        limit = createLimiter(options.concurrency || 1)
+    } = options;
     const tableStartTime = Date.now();
     
     try {
         const schema = await getTableSchema(sourcePool, table);
-        await createTableIfNotExists(targetPool, table, schema);
+        const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+        const targetTable = definition.name;
+        await createTableIfNotExists(targetPool, targetTable, definition, { indexes: false });
         
-        const countResult = await sourcePool.request().query(`SELECT COUNT(*) as total FROM [${table}]`);
+        const countResult = await sourcePool.request().query(`SELECT COUNT(*) as total FROM ${quoteTableName(table)}`);
         const totalRows = countResult.recordset[0].total;
         
         if (totalRows === 0) {
-            console.log(`ℹ️  Table ${table} is empty (0 rows), skipping...`);
-            return { transferred: 0, total: 0 };
+            log.info(`ℹ️  Table ${table} is empty (0 rows), skipping...`, { table, rows: 0 });
+            await reseedIdentity(sourcePool, targetPool, table, targetTable);
+            markTableDone(checkpoint, table, 0);
+            return { transferred: 0, total: 0, completed: true };
         }
         
-        console.log(`📊 Table ${table}: ${totalRows.toLocaleString()} rows to transfer`);
+        log.info(`📊 Table ${table}: ${totalRows.toLocaleString()} rows to transfer`, { table, rows: totalRows });
         
-        const BATCH_SIZE = 10000;
-        let offset = 0;
-        let insertedCount = 0;
+        const pagingKey = await getPagingKey(sourcePool, table, schema);
+        const tableState = getTableState(checkpoint, table);
+        let boundaries = tableState ? tableState.boundaries : null;
         
-        while (offset < totalRows) {
-            const batchStartTime = Date.now();
-            
-            const sourceData = await sourcePool.request().query(`
-                SELECT * FROM [${table}]
-                ORDER BY (SELECT NULL)
-                OFFSET ${offset} ROWS
-                FETCH NEXT ${BATCH_SIZE} ROWS ONLY
-            `);
-            
-            if (sourceData.recordset.length > 0) {
-                try {
-                    await executeWithRetry(() => 
-                        bulkInsertData(targetPool, table, schema, sourceData.recordset)
-                    );
-                    
-                    insertedCount += sourceData.recordset.length;
-                    
-                    const batchTime = (Date.now() - batchStartTime) / 1000;
-                    const progress = (insertedCount / totalRows) * 100;
-                    const avgRowsPerSecond = insertedCount / ((Date.now() - tableStartTime) / 1000);
-                    const estimatedMinutesLeft = calculateETA(insertedCount, totalRows, tableStartTime);
-                    
-                    console.log(`   🚀 ${formatProgress(insertedCount, totalRows, progress)} | Speed: ${Math.round(avgRowsPerSecond).toLocaleString()} rows/sec | ETA: ${estimatedMinutesLeft}min`);
-                } catch (error) {
-                    console.error(`❌ Error bulk inserting batch for table ${table}:`, error.message);
-                    break;
-                }
-            }
-            
-            offset += BATCH_SIZE;
+        if (!tableState && rangesPerTable > 1 && totalRows >= splitThreshold && pagingKey.strategy !== 'PHYSLOC') {
+            boundaries = await getKeyRangeBoundaries(sourcePool, table, pagingKey, rangesPerTable, totalRows);
+            recordTableRanges(checkpoint, table, boundaries);
+            log.info(`✂️  Table ${table}: split into ${boundaries.length + 1} key ranges`);
+        }
+        
+        const context = {
+            checkpoint,
+            batchSize,
+            progress,
+            targetTable,
+            tableProgress: { inserted: 0, total: totalRows, startTime: tableStartTime }
+        };
+        
+        const rangeResults = await withTableTriggersDisabled(targetPool, targetTable, () => Promise.all(planKeyRanges(table, boundaries).map(range =>
+            limit(() => transferKeyRange(sourcePool, targetPool, table, schema, pagingKey, range, context))
+                .catch(error => ({ error, transferred: 0, completed: false }))
+        )));
+        
+        const failedRange = rangeResults.find(result => result.error);
+        if (failedRange) {
+            throw failedRange.error;
+        }
+        
+        const insertedCount = rangeResults.reduce((sum, result) => sum + result.transferred, 0);
+        const completed = rangeResults.every(result => result.completed);
+        
+        if (completed) {
+            await reseedIdentity(sourcePool, targetPool, table, targetTable);
+            markTableDone(checkpoint, table, insertedCount);
         }
         
         const tableTime = (Date.now() - tableStartTime) / 1000;
-        console.log(`✅ Table ${table}: ${formatProgress(insertedCount, totalRows, 100)} transferred in ${tableTime.toFixed(1)}s`);
+        log[completed ? 'info' : 'warn'](`${completed ? '✅' : '⚠️ '} Table ${table}: ${formatProgress(insertedCount, totalRows, (insertedCount / totalRows) * 100)} transferred in ${tableTime.toFixed(1)}s`, {
+            table,
+            rows: insertedCount,
+            durationMs: Date.now() - tableStartTime
+        });
         
-        return { transferred: insertedCount, total: totalRows };
+        return { transferred: insertedCount, total: totalRows, completed };
         
     } catch (error) {
-        console.error(`❌ Error transferring table ${table}:`, error.message);
+        log.error(`❌ Error transferring table ${table}: ${error.message}`, { table, durationMs: Date.now() - tableStartTime, error: error.message });
         throw error;
     }
 }
 
-async function transferData(sourcePool, targetPool) {
-    console.log('📊 Starting data transfer...');
+async function transferData(sourcePool, targetPool, options = {}) {
+    const { checkpoint = null, concurrency = 1, schemaMap = {}, filter = null } = options;
+    log.info(`📊 Starting data transfer with ${concurrency} worker(s)...`);
     
-    const tables = await getTableList(sourcePool);
+    const poolMax = targetPool.config && targetPool.config.pool ? targetPool.config.pool.max : null;
+    if (poolMax && concurrency > poolMax) {
+        log.warn(`⚠️  Concurrency ${concurrency} exceeds the connection pool size (${poolMax}), workers will wait for connections`);
+    }
+    
+    const tables = filterObjects(await getTableList(sourcePool), filter);
+    const rowCounts = await getTableRowCounts(sourcePool);
     const totalTables = tables.length;
-    let completedTables = 0;
     const overallStartTime = Date.now();
     
+    const sourceTablesByTarget = new Map(tables.map(table => [mapTableName(table, schemaMap), table]));
+    const targetForeignKeys = await getForeignKeys(targetPool);
+    const sourceForeignKeys = (await getForeignKeys(sourcePool)).map(fk => ({
+        ...fk,
+        TABLE_NAME: mapTableName(fk.TABLE_NAME, schemaMap),
+        REFERENCED_TABLE_NAME: mapTableName(fk.REFERENCED_TABLE_NAME, schemaMap)
+    }));
+    const dependencyOrder = orderTablesByForeignKeys([...sourceTablesByTarget.keys()], [...sourceForeignKeys, ...targetForeignKeys]);
+    const levels = dependencyOrder.levels.map(level => level.map(targetTable => sourceTablesByTarget.get(targetTable)));
+    const cycles = dependencyOrder.cycles;
+    reportForeignKeyCycles(cycles);
+    
+    const pendingTables = tables.filter(table => {
+        const tableState = getTableState(checkpoint, table);
+        return !tableState || tableState.status !== 'DONE';
+    });
+    let completedTables = totalTables - pendingTables.length;
+    let startedTables = 0;
+    
+    if (completedTables > 0) {
+        log.info(`⏭️  Skipping ${completedTables} tables already transferred`);
+    }
+    
+    const progress = createProgressTracker(pendingTables.reduce((sum, table) => sum + (rowCounts.get(table) || 0), 0));
+    const limit = createLimiter(concurrency);
+    const results = [];
+    
+    const cycleForeignKeys = getCycleForeignKeys(targetForeignKeys, cycles);
+    await setForeignKeysEnabled(targetPool, cycleForeignKeys, false);
+    
+    try {
+        for (const level of levels) {
+            const levelTables = level.filter(table => pendingTables.includes(table));
+            
+            const levelResults = await runWithConcurrency(levelTables, concurrency, async table => {
+                try {
+                    startedTables++;
+                    log.info(`🔄 [${startedTables}/${pendingTables.length}] Transferring table: ${table}`);
+                    return await transferTableData(sourcePool, targetPool, table, { ...options, progress, limit });
+                } finally {
+                    completedTables++;
+                    log.info(`📈 Overall Progress: ${completedTables}/${totalTables} tables | Rows: ${progress.describe()}\n`);
+                }
+            });
+            
+            results.push(...levelResults);
+        }
+    } finally {
+        await setForeignKeysEnabled(targetPool, cycleForeignKeys, true);
+    }
+    
+    const failedTables = results
+        .filter(result => result.status === 'rejected' || !result.value.completed)
+        .map(result => result.item);
+    const transferredRows = results
+        .filter(result => result.status === 'fulfilled')
+        .reduce((sum, result) => sum + result.value.transferred, 0);
+        
+    const totalTime = (Date.now() - overallStartTime) / 1000;
+    log.info(`✅ Data transfer completed in ${(totalTime / 60).toFixed(1)} minutes`);
+    
+    if (failedTables.length > 0) {
+        log.warn(`⚠️  ${failedTables.length} tables were not transferred completely: ${failedTables.join(', ')}`);
+    }
+    
+    return { transferred: transferredRows, failedTables };
+}
+
+async function transferIndexes(sourcePool, targetPool, options = {}) {
+    const { schemaMap = {}, filter = null } = options;
+    log.info('📇 Building indexes...');
+    
+    const tables = filterObjects(await getTableList(sourcePool), filter);
+    let createdCount = 0;
+    let failedCount = 0;
+    
     for (const table of tables) {
+        const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
         try {
-            console.log(`🔄 [${completedTables + 1}/${totalTables}] Transferring table: ${table}`);
-            await transferTableData(sourcePool, targetPool, table);
+            createdCount += await createMissingIndexes(targetPool, definition);
         } catch (error) {
-            console.error(`❌ Error transferring table ${table}:`, error.message);
+            failedCount++;
+            log.error(`❌ Error building indexes on ${definition.name}: ${error.message}`, { table: definition.name, error: error.message });
         }
-        
-        completedTables++;
-        const overallProgress = (completedTables / totalTables) * 100;
-        const estimatedOverallMinutes = calculateETA(completedTables, totalTables, overallStartTime);
-        
-        console.log(`📈 Overall Progress: ${formatProgress(completedTables, totalTables, overallProgress)} | ETA: ${estimatedOverallMinutes}min\n`);
     }
     
-    const totalTime = (Date.now() - overallStartTime) / 1000;
-    console.log(`✅ Data transfer completed in ${(totalTime / 60).toFixed(1)} minutes`);
+    log.info(`✅ Indexes built (${createdCount} created, ${failedCount} tables failed)`);
+    return { created: createdCount, failed: failedCount };
 }
 
-async function transferFunctions(sourcePool, targetPool) {
-    console.log('🔧 Transferring functions...');
+async function transferForeignKeys(sourcePool, targetPool, options = {}) {
+    const { schemaMap = {}, filter = null } = options;
+    log.info('🔗 Transferring foreign keys...');
     
-    try {
-        const functions = await getFunctions(sourcePool);
+    const tables = filterObjects(await getTableList(sourcePool), filter);
+    const existingKeys = new Set((await getForeignKeys(targetPool)).map(fk => `${fk.TABLE_NAME}.${fk.CONSTRAINT_NAME}`));
+    let createdCount = 0;
+    let failedCount = 0;
+    
+    for (const table of tables) {
+        const definition = mapDefinition(await getTableDefinition(sourcePool, table), schemaMap);
+        const statements = generateForeignKeySQL(definition);
         
-        for (const func of functions) {
+        for (let i = 0; i < definition.foreignKeys.length; i++) {
+            const fk = definition.foreignKeys[i];
+            if (existingKeys.has(`${definition.name}.${fk.name}`)) {
+                continue;
+            }
+            
             try {
-                await executeWithRetry(async () => {
-                    await targetPool.request().query(`DROP FUNCTION IF EXISTS [${func.ROUTINE_NAME}]`);
-                    await targetPool.request().query(func.ROUTINE_DEFINITION);
-                });
-                console.log(`✅ Transferred function: ${func.ROUTINE_NAME}`);
+                await targetPool.request().query(statements[i]);
+                createdCount++;
+                log.info(`✅ Created foreign key: ${definition.name}.${fk.name}`);
             } catch (error) {
-                console.error(`❌ Error transferring function ${func.ROUTINE_NAME}:`, error.message);
+                failedCount++;
+                log.error(`❌ Error creating foreign key ${definition.name}.${fk.name}: ${error.message}`, { error: error.message });
             }
         }
-        
-        console.log(`✅ Functions transfer completed (${functions.length} functions)`);
-    } catch (error) {
-        console.error('❌ Error getting functions:', error.message);
     }
+    
+    log.info(`✅ Foreign keys transfer completed (${createdCount} created, ${failedCount} failed)`);
+    return { created: createdCount, failed: failedCount };
 }
 
-async function transferViews(sourcePool, targetPool) {
-    console.log('👁️ Transferring views...');
+function toCreateOrAlter(definition) {
+    return definition.replace(
+        /^((?:\s|--[^\n]*\n|\/\*[\s\S]*?\*\/)*)CREATE\s+(PROC(?:EDURE)?|FUNCTION|VIEW|TRIGGER)\b/i,
+        '$1CREATE OR ALTER $2'
+    );
+}
+
+function describeObject(object) {
+    return `${object.type.toLowerCase().replace('_', ' ')} ${object.name}`;
+}
+
+function getSchemaMapConflict(object, dependencies, schemaMap = {}) {
+    const names = [object.type === 'DDL_TRIGGER' ? null : object.name, object.parent, ...(dependencies.get(object.name) || [])];
+    const mapped = [...new Set(names.filter(name => name && schemaMap[parseTableName(name).schema]))];
+    
+    if (mapped.length === 0) {
+        return null;
+    }
+    return `SCHEMA_MAP is not applied to object definitions, which still name ${mapped.join(', ')} under their source schema; create it on the target by hand`;
+}
+
+function filterProgrammableObjects(objects, filter) {
+    return objects.filter(object => matchesFilter(object.type === 'TRIGGER' ? object.parent : object.name, filter));
+}
+
+async function createProgrammableObject(targetPool, object) {
+    if (object.type !== 'DDL_TRIGGER') {
+        await ensureSchema(targetPool, parseTableName(object.name).schema);
+    }
+    
+    await targetPool.request().query(toCreateOrAlter(object.definition));
+    
+    if (object.disabled) {
+        const target = object.type === 'DDL_TRIGGER' ? 'DATABASE' : quoteTableName(object.parent);
+        const triggerName = object.type === 'DDL_TRIGGER' ? quoteIdentifier(object.name) : quoteTableName(object.name);
+        await targetPool.request().query(`DISABLE TRIGGER ${triggerName} ON ${target}`);
+    }
+}
+
+function buildDependencyMap(rows) {
+    const dependencies = new Map();
+    
+    for (const row of rows) {
+        if (!dependencies.has(row.OBJECT_NAME)) {
+            dependencies.set(row.OBJECT_NAME, new Set());
+        }
+        dependencies.get(row.OBJECT_NAME).add(row.REFERENCED_NAME);
+    }
     
+    return dependencies;
+}
+
+async function loadObjectDependencies(sourcePool) {
     try {
-        const views = await getViews(sourcePool);
+        return await getObjectDependencies(sourcePool);
+    } catch (error) {
+        log.warn(`⚠️  Could not read object dependencies, falling back to type order: ${error.message}`);
+        return [];
+    }
+}
+
+function orderProgrammableObjects(objects, dependencies, types) {
+    const byName = new Map(objects.map(object => [object.name, object]));
+    const { levels, cycles } = orderByDependencies(objects.map(object => object.name), name => dependencies.get(name) || []);
+    
+    for (const cycle of cycles) {
+        log.warn(`⚠️  Dependency cycle between objects: ${cycle.join(', ')}`);
+    }
+    
+    return levels.flatMap(level => level
+        .map(name => byName.get(name))
+        .sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type)));
+}
+
+async function findUnresolvedDependencies(targetPool, object, dependencies, states) {
+    const unresolved = [];
+    
+    for (const dependency of dependencies.get(object.name) || []) {
+        if (states.has(dependency)) {
+            if (states.get(dependency) !== 'CREATED') {
+                unresolved.push(dependency);
+            }
+            continue;
+        }
         
-        for (const view of views) {
+        try {
+            if (!(await objectExists(targetPool, dependency))) {
+                unresolved.push(dependency);
+            }
+        } catch (error) {
+            unresolved.push(dependency);
+        }
+    }
+    
+    return unresolved;
+}
+
+async function createProgrammableObjects(targetPool, objects, dependencyRows, types, options = {}) {
+    const { schemaMap = {} } = options;
+    const summary = { total: objects.length, created: 0, failed: 0, skipped: 0, results: [] };
+    const dependencies = buildDependencyMap(dependencyRows);
+    const states = new Map();
+    let pending = [];
+    
+    const recordCreated = (object, retried) => {
+        states.set(object.name, 'CREATED');
+        summary.created++;
+        summary.results.push({ name: object.name, type: object.type, status: 'CREATED', retried });
+        log.info(`✅ Transferred ${describeObject(object)}`);
+    };
+    
+    for (const object of orderProgrammableObjects(objects, dependencies, types)) {
+        if (!object.definition) {
+            states.set(object.name, 'SKIPPED');
+            summary.skipped++;
+            summary.results.push({ name: object.name, type: object.type, status: 'SKIPPED', message: 'Definition is encrypted or not visible' });
+            log.warn(`⚠️  Skipped ${describeObject(object)}: definition is encrypted or not visible`);
+            continue;
+        }
+        
+        const conflict = getSchemaMapConflict(object, dependencies, schemaMap);
+        if (conflict) {
+            states.set(object.name, 'SKIPPED');
+            summary.skipped++;
+            summary.results.push({ name: object.name, type: object.type, status: 'SKIPPED', message: conflict });
+            log.warn(`⚠️  Skipped ${describeObject(object)}: ${conflict}`);
+            continue;
+        }
+        
+        const blockedBy = [...(dependencies.get(object.name) || [])]
+            .filter(dependency => states.has(dependency) && states.get(dependency) !== 'CREATED');
+        if (blockedBy.length > 0) {
+            states.set(object.name, 'PENDING');
+            pending.push({ object, message: `Depends on objects that were not created: ${blockedBy.join(', ')}` });
+            log.info(`⏭️  Deferred ${describeObject(object)} until ${blockedBy.join(', ')} can be created`);
+            continue;
+        }
+        
+        try {
+            await executeWithRetry(() => createProgrammableObject(targetPool, object));
+            recordCreated(object, false);
+        } catch (error) {
+            states.set(object.name, 'PENDING');
+            pending.push({ object, message: error.message });
+            log.warn(`⚠️  Could not create ${describeObject(object)} yet, will retry: ${error.message}`);
+        }
+    }
+    
+    let madeProgress = true;
+    while (pending.length > 0 && madeProgress) {
+        log.info(`🔁 Retrying ${pending.length} programmable objects...`);
+        const stillPending = [];
+        
+        for (const entry of pending) {
             try {
-                await executeWithRetry(async () => {
-                    await targetPool.request().query(`DROP VIEW IF EXISTS [${view.VIEW_NAME}]`);
-                    await targetPool.request().query(view.VIEW_DEFINITION);
-                });
-                console.log(`✅ Transferred view: ${view.VIEW_NAME}`);
+                await createProgrammableObject(targetPool, entry.object);
+                recordCreated(entry.object, true);
             } catch (error) {
-                console.error(`❌ Error transferring view ${view.VIEW_NAME}:`, error.message);
+                stillPending.push({ object: entry.object, message: error.message });
             }
         }
         
-        console.log(`✅ Views transfer completed (${views.length} views)`);
+        madeProgress = stillPending.length < pending.length;
+        pending = stillPending;
+    }
+    
+    for (const { object } of pending) {
+        states.set(object.name, 'FAILED');
+    }
+    
+    for (const { object, message } of pending) {
+        const unresolvedDependencies = await findUnresolvedDependencies(targetPool, object, dependencies, states);
+        summary.failed++;
+        summary.results.push({ name: object.name, type: object.type, status: 'FAILED', message, unresolvedDependencies });
+        
+        const detail = unresolvedDependencies.length > 0 ? ` (unresolved dependencies: ${unresolvedDependencies.join(', ')})` : '';
+        log.error(`❌ Error transferring ${describeObject(object)}${detail}: ${message}`, { error: message });
+    }
+    
+    log.info(`✅ Programmable objects transfer completed (${summary.created} created, ${summary.failed} failed, ${summary.skipped} skipped)`);
+    return summary;
+}
+
+async function transferProgrammableObjects(sourcePool, targetPool, options = {}) {
+    const { types = ['FUNCTION', 'VIEW', 'PROCEDURE'], filter = null, schemaMap = {} } = options;
+    log.info(`🔧 Transferring programmable objects (${types.join(', ')})...`);
+    
+    let objects;
+    
+    try {
+        objects = filterProgrammableObjects(await getProgrammableObjects(sourcePool, types), filter);
     } catch (error) {
-        console.error('❌ Error getting views:', error.message);
+        log.error(`❌ Error getting programmable objects: ${error.message}`, { error: error.message });
+        return { total: 0, created: 0, failed: 0, skipped: 0, results: [], error: error.message };
     }
+    
+    const dependencyRows = await loadObjectDependencies(sourcePool);
+    return createProgrammableObjects(targetPool, objects, dependencyRows, types, { schemaMap });
+}
+
+async function transferFunctions(sourcePool, targetPool) {
+    return transferProgrammableObjects(sourcePool, targetPool, { types: ['FUNCTION'] });
+}
+
+async function transferViews(sourcePool, targetPool) {
+    return transferProgrammableObjects(sourcePool, targetPool, { types: ['VIEW'] });
+}
+
+async function transferTriggers(sourcePool, targetPool, options = {}) {
+    return transferProgrammableObjects(sourcePool, targetPool, { ...options, types: ['TRIGGER', 'DDL_TRIGGER'] });
 }
 
 module.exports = {
     transferData,
+    transferIndexes,
+    transferForeignKeys,
+    transferProgrammableObjects,
+    createProgrammableObjects,
+    filterProgrammableObjects,
+    buildDependencyMap,
+    getSchemaMapConflict,
+    loadObjectDependencies,
+    toCreateOrAlter,
     transferFunctions,
     transferViews,
+    transferTriggers,
     transferTableData
 };
\ No newline at end of file
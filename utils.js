@@ -1,3 +1,7 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('utils');
+
 class DatabaseError extends Error {
     constructor(message, table = null, operation = null) {
         super(message);
@@ -15,7 +19,7 @@ async function executeWithRetry(operation, maxRetries = 3, delay = 1000) {
             if (attempt === maxRetries) {
                 throw error;
             }
-            console.log(`⚠️  Attempt ${attempt} failed, retrying in ${delay}ms...`);
+            log.warn(`⚠️  Attempt ${attempt} failed, retrying in ${delay}ms...`);
             await new Promise(resolve => setTimeout(resolve, delay));
             delay *= 2;
         }
@@ -27,12 +31,101 @@ function sanitizeTableName(tableName) {
         throw new Error('Table name must be a non-empty string');
     }
     
-    const sanitized = tableName.replace(/[^\w]/g, '');
-    if (sanitized.length === 0) {
+    const parts = tableName.split('.').map(part => part.replace(/[^\w]/g, ''));
+    if (parts.length > 2) {
+        throw new Error('Table name must be either table or schema.table');
+    }
+    if (parts.some(part => part.length === 0)) {
         throw new Error('Table name contains no valid characters');
     }
     
-    return sanitized;
+    return parts.join('.');
+}
+
+function parseTableName(tableName) {
+    const separator = tableName.indexOf('.');
+    if (separator === -1) {
+        return { schema: 'dbo', name: tableName };
+    }
+    return { schema: tableName.slice(0, separator), name: tableName.slice(separator + 1) };
+}
+
+function quoteIdentifier(identifier) {
+    return `[${identifier.replace(/]/g, ']]')}]`;
+}
+
+function quoteTableName(tableName) {
+    const { schema, name } = parseTableName(tableName);
+    return `${quoteIdentifier(schema)}.${quoteIdentifier(name)}`;
+}
+
+function parseSchemaMap(value) {
+    const schemaMap = {};
+    for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [sourceSchema, targetSchema] = entry.split(':').map(part => part.trim());
+        if (!sourceSchema || !targetSchema) {
+            throw new Error(`Invalid schema mapping "${entry}", expected source:target`);
+        }
+        schemaMap[sourceSchema] = targetSchema;
+    }
+    return schemaMap;
+}
+
+function mapTableName(tableName, schemaMap = {}) {
+    const { schema, name } = parseTableName(tableName);
+    return `${schemaMap[schema] || schema}.${name}`;
+}
+
+function unmapTableName(tableName, schemaMap = {}) {
+    const { schema, name } = parseTableName(tableName);
+    const sourceSchema = Object.keys(schemaMap).find(key => schemaMap[key].toLowerCase() === schema.toLowerCase());
+    return `${sourceSchema || schema}.${name}`;
+}
+
+function compileObjectPattern(pattern) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        }
+        if (char === '?') {
+            return '.';
+        }
+        return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }).join('');
+    
+    return { pattern, qualified: pattern.includes('.'), regex: new RegExp(`^${source}$`, 'i') };
+}
+
+function parseObjectFilter(value) {
+    const patterns = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    if (patterns.length === 0) {
+        return null;
+    }
+    
+    return {
+        patterns,
+        include: patterns.filter(pattern => !pattern.startsWith('!')).map(compileObjectPattern),
+        exclude: patterns.filter(pattern => pattern.startsWith('!')).map(pattern => compileObjectPattern(pattern.slice(1).trim()))
+    };
+}
+
+function matchesObjectPattern(objectName, compiled) {
+    const { schema, name } = parseTableName(objectName);
+    return compiled.regex.test(compiled.qualified ? `${schema}.${name}` : name);
+}
+
+function matchesFilter(objectName, filter) {
+    if (!filter) {
+        return true;
+    }
+    if (filter.include.length > 0 && !filter.include.some(compiled => matchesObjectPattern(objectName, compiled))) {
+        return false;
+    }
+    return !filter.exclude.some(compiled => matchesObjectPattern(objectName, compiled));
+}
+
+function filterObjects(objectNames, filter, schemaMap = {}) {
+    return objectNames.filter(objectName => matchesFilter(unmapTableName(objectName, schemaMap), filter));
 }
 
 function formatProgress(current, total, percentage) {
@@ -47,10 +140,188 @@ function calculateETA(processed, total, startTime) {
     return Math.ceil(estimatedSeconds / 60);
 }
 
+function createProgressTracker(total) {
+    const startTime = Date.now();
+    let processed = 0;
+    
+    return {
+        add(count) {
+            processed += count;
+        },
+        describe() {
+            const percentage = total > 0 ? Math.min((processed / total) * 100, 100) : 100;
+            const etaMinutes = processed > 0 ? calculateETA(Math.min(processed, total), total, startTime) : '?';
+            return `${formatProgress(processed, total, percentage)} | ETA: ${etaMinutes}min`;
+        }
+    };
+}
+
+function createLimiter(concurrency) {
+    const queue = [];
+    let active = 0;
+    
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) {
+            return;
+        }
+        
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+    
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+async function runWithConcurrency(items, concurrency, worker) {
+    const limit = createLimiter(concurrency);
+    
+    return Promise.all(items.map((item, index) =>
+        limit(() => worker(item, index)).then(
+            value => ({ item, status: 'fulfilled', value }),
+            error => ({ item, status: 'rejected', error })
+        )
+    ));
+}
+
+function orderByDependencies(items, getDependencies) {
+    const known = new Set(items);
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let nextIndex = 0;
+    
+    const dependenciesOf = item => [...getDependencies(item)].filter(dep => known.has(dep) && dep !== item);
+    
+    const visit = item => {
+        indexes.set(item, nextIndex);
+        lowLinks.set(item, nextIndex);
+        nextIndex++;
+        stack.push(item);
+        onStack.add(item);
+        
+        for (const dep of dependenciesOf(item)) {
+            if (!indexes.has(dep)) {
+                visit(dep);
+                lowLinks.set(item, Math.min(lowLinks.get(item), lowLinks.get(dep)));
+            } else if (onStack.has(dep)) {
+                lowLinks.set(item, Math.min(lowLinks.get(item), indexes.get(dep)));
+            }
+        }
+        
+        if (lowLinks.get(item) === indexes.get(item)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== item);
+            components.push(component);
+        }
+    };
+    
+    for (const item of items) {
+        if (!indexes.has(item)) {
+            visit(item);
+        }
+    }
+    
+    const componentOf = new Map();
+    components.forEach((component, i) => component.forEach(member => componentOf.set(member, i)));
+    
+    // Components come out of Tarjan's algorithm with dependencies first, so one pass assigns levels
+    const componentLevels = [];
+    components.forEach((component, i) => {
+        let level = 0;
+        for (const member of component) {
+            for (const dep of dependenciesOf(member)) {
+                const depComponent = componentOf.get(dep);
+                if (depComponent !== i) {
+                    level = Math.max(level, componentLevels[depComponent] + 1);
+                }
+            }
+        }
+        componentLevels.push(level);
+    });
+    
+    const levels = [];
+    for (const item of items) {
+        const level = componentLevels[componentOf.get(item)];
+        levels[level] = levels[level] || [];
+        levels[level].push(item);
+    }
+    
+    return {
+        levels: levels.filter(Boolean),
+        cycles: components
+            .filter(component => component.length > 1)
+            .map(component => items.filter(item => component.includes(item)))
+    };
+}
+
+function encodeValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return { $binary: value.toString('hex') };
+    }
+    if (value instanceof Date) {
+        return value.nanosecondDelta ? { $date: value.toISOString(), $nanosecondDelta: value.nanosecondDelta } : { $date: value.toISOString() };
+    }
+    return value;
+}
+
+function formatKeyRange(range) {
+    const formatKey = key => JSON.stringify(key.map(encodeValue));
+    return `${range.afterKey ? `after ${formatKey(range.afterKey)}` : 'from the first key'} ${range.upToKey ? `up to ${formatKey(range.upToKey)}` : 'to the last key'}`;
+}
+
+function decodeValue(value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$binary === 'string') {
+            return Buffer.from(value.$binary, 'hex');
+        }
+        if (typeof value.$date === 'string') {
+            const date = new Date(value.$date);
+            if (value.$nanosecondDelta) {
+                date.nanosecondDelta = value.$nanosecondDelta;
+            }
+            return date;
+        }
+    }
+    return value;
+}
+
 module.exports = {
     DatabaseError,
     executeWithRetry,
     sanitizeTableName,
+    parseTableName,
+    quoteIdentifier,
+    quoteTableName,
+    parseSchemaMap,
+    mapTableName,
+    unmapTableName,
+    parseObjectFilter,
+    matchesFilter,
+    filterObjects,
     formatProgress,
-    calculateETA
+    calculateETA,
+    createProgressTracker,
+    createLimiter,
+    runWithConcurrency,
+    orderByDependencies,
+    encodeValue,
+    formatKeyRange,
+    decodeValue
 };
\ No newline at end of file
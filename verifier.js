@@ -1,7 +1,17 @@
 const sql = require('mssql');
-const { sourceConfig, targetConfig } = require('./config');
-const { getTableList, getTableSchema } = require('./database');
-const { executeWithRetry, formatProgress } = require('./utils');
+const { sourceConfig, targetConfig, transferOptions, verifyOptions, validateConfig } = require('./config');
+const { getTableList, getTableSchema, getPagingKey, applyKeyRange, fetchBatchAfter, getKeyRangeBoundaries, getInsertableColumns } = require('./database');
+const { executeWithRetry, formatProgress, quoteIdentifier, quoteTableName, mapTableName, filterObjects, formatKeyRange } = require('./utils');
+const { getExactColumns, encodeArchiveRow } = require('./archive');
+const { writeReports } = require('./report');
+const { createLogger } = require('./logger');
+
+const log = createLogger('verifier');
+
+const RANGE_SPLIT = 16;
+const HASH_TEXT_TYPES = ['char', 'varchar', 'text', 'nchar', 'nvarchar', 'ntext', 'xml', 'sql_variant'];
+const DATE_TIME_TYPES = ['date', 'time', 'datetime', 'datetime2', 'smalldatetime', 'datetimeoffset'];
+const FLOAT_TYPES = ['float', 'real'];
 
 class VerificationError extends Error {
     constructor(message, table = null, type = null) {
@@ -12,14 +22,15 @@ class VerificationError extends Error {
     }
 }
 
-async function compareTableStructure(sourcePool, targetPool, tableName) {
-    const sourceSchema = await getTableSchema(sourcePool, tableName);
-    const targetSchema = await getTableSchema(targetPool, tableName);
-    
+function formatPrecision(col) {
+    return col.DATETIME_PRECISION !== null ? `${col.DATETIME_PRECISION}` : `${col.NUMERIC_PRECISION},${col.NUMERIC_SCALE}`;
+}
+
+function diffTableStructure(sourceSchema, targetSchema) {
     const differences = [];
     
     if (sourceSchema.length !== targetSchema.length) {
-        differences.push(`Column count mismatch: source ${sourceSchema.length}, target ${targetSchema.length}`);
+        differences.push({ type: 'COLUMN_COUNT', column: null, message: `Column count mismatch: source ${sourceSchema.length}, target ${targetSchema.length}` });
     }
     
     const sourceColumns = new Map(sourceSchema.map(col => [col.COLUMN_NAME, col]));
@@ -29,40 +40,51 @@ async function compareTableStructure(sourcePool, targetPool, tableName) {
         const targetCol = targetColumns.get(colName);
         
         if (!targetCol) {
-            differences.push(`Missing column in target: ${colName}`);
+            differences.push({ type: 'MISSING_COLUMN', column: colName, message: `Missing column in target: ${colName}` });
             continue;
         }
         
         if (sourceCol.DATA_TYPE !== targetCol.DATA_TYPE) {
-            differences.push(`Column ${colName} type mismatch: source ${sourceCol.DATA_TYPE}, target ${targetCol.DATA_TYPE}`);
+            differences.push({ type: 'TYPE', column: colName, message: `Column ${colName} type mismatch: source ${sourceCol.DATA_TYPE}, target ${targetCol.DATA_TYPE}` });
         }
         
         if (sourceCol.IS_NULLABLE !== targetCol.IS_NULLABLE) {
-            differences.push(`Column ${colName} nullable mismatch: source ${sourceCol.IS_NULLABLE}, target ${targetCol.IS_NULLABLE}`);
+            differences.push({ type: 'NULLABLE', column: colName, message: `Column ${colName} nullable mismatch: source ${sourceCol.IS_NULLABLE}, target ${targetCol.IS_NULLABLE}` });
         }
         
         if (sourceCol.CHARACTER_MAXIMUM_LENGTH !== targetCol.CHARACTER_MAXIMUM_LENGTH) {
-            differences.push(`Column ${colName} length mismatch: source ${sourceCol.CHARACTER_MAXIMUM_LENGTH}, target ${targetCol.CHARACTER_MAXIMUM_LENGTH}`);
+            differences.push({ type: 'LENGTH', column: colName, message: `Column ${colName} length mismatch: source ${sourceCol.CHARACTER_MAXIMUM_LENGTH}, target ${targetCol.CHARACTER_MAXIMUM_LENGTH}` });
+        }
+        
+        if (sourceCol.DATA_TYPE === targetCol.DATA_TYPE && formatPrecision(sourceCol) !== formatPrecision(targetCol)) {
+            differences.push({ type: 'PRECISION', column: colName, message: `Column ${colName} precision mismatch: source (${formatPrecision(sourceCol)}), target (${formatPrecision(targetCol)})` });
         }
     }
     
     for (const colName of targetColumns.keys()) {
         if (!sourceColumns.has(colName)) {
-            differences.push(`Extra column in target: ${colName}`);
+            differences.push({ type: 'EXTRA_COLUMN', column: colName, message: `Extra column in target: ${colName}` });
         }
     }
     
     return differences;
 }
 
-async function compareTableRowCounts(sourcePool, targetPool, tableName) {
+async function compareTableStructure(sourcePool, targetPool, tableName, targetTableName = tableName) {
+    const sourceSchema = await getTableSchema(sourcePool, tableName);
+    const targetSchema = await getTableSchema(targetPool, targetTableName);
+    
+    return diffTableStructure(sourceSchema, targetSchema).map(difference => difference.message);
+}
+
+async function compareTableRowCounts(sourcePool, targetPool, tableName, targetTableName = tableName) {
     const sourceRequest = sourcePool.request();
     const targetRequest = targetPool.request();
     sourceRequest.timeout = 300000;
     targetRequest.timeout = 300000;
     
-    const sourceCountResult = await sourceRequest.query(`SELECT COUNT(*) as count FROM [${tableName}]`);
-    const targetCountResult = await targetRequest.query(`SELECT COUNT(*) as count FROM [${tableName}]`);
+    const sourceCountResult = await sourceRequest.query(`SELECT COUNT(*) as count FROM ${quoteTableName(tableName)}`);
+    const targetCountResult = await targetRequest.query(`SELECT COUNT(*) as count FROM ${quoteTableName(targetTableName)}`);
     
     const sourceCount = sourceCountResult.recordset[0].count;
     const targetCount = targetCountResult.recordset[0].count;
@@ -74,30 +96,58 @@ async function compareTableRowCounts(sourcePool, targetPool, tableName) {
     };
 }
 
-async function calculateTableChecksum(pool, tableName, schema) {
+// Dates and floats are converted with an explicit style so the text does not depend on session settings or drop precision,
+// and sql_variant values carry their base type, precision and scale so values that only differ in type do not match
+function buildVariantText(column) {
+    const property = name => `CAST(SQL_VARIANT_PROPERTY(${column}, '${name}') AS NVARCHAR(128))`;
+    const baseType = property('BaseType');
+    return `CONCAT(${baseType}, '(', ${property('Precision')}, ',', ${property('Scale')}, '):', CASE
+        WHEN ${baseType} IN ('float', 'real') THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS FLOAT), 3)
+        WHEN ${baseType} IN ('date', 'datetime', 'datetime2', 'smalldatetime') THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS DATETIME2(7)), 126)
+        WHEN ${baseType} = 'time' THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS TIME(7)), 126)
+        WHEN ${baseType} = 'datetimeoffset' THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS DATETIMEOFFSET(7)), 126)
+        ELSE CAST(${column} AS NVARCHAR(MAX))
+    END)`;
+}
+
+function buildColumnText(col) {
+    const column = quoteIdentifier(col.COLUMN_NAME);
+    const type = col.DATA_TYPE.toLowerCase();
+    
+    if (DATE_TIME_TYPES.includes(type)) {
+        return `CONVERT(NVARCHAR(MAX), ${column}, 126)`;
+    }
+    if (FLOAT_TYPES.includes(type)) {
+        return `CONVERT(NVARCHAR(MAX), ${column}, 3)`;
+    }
+    if (type === 'sql_variant') {
+        return `CASE WHEN ${column} IS NULL THEN NULL ELSE ${buildVariantText(column)} END`;
+    }
+    return `CAST(${column} AS NVARCHAR(MAX))`;
+}
+
+async function calculateTableChecksum(pool, tableName, schema, pagingKey = null, range = null) {
     const columnList = schema
         .filter(col => !['timestamp', 'rowversion'].includes(col.DATA_TYPE.toLowerCase()))
-        .map(col => {
-            if (['datetime', 'datetime2', 'smalldatetime'].includes(col.DATA_TYPE.toLowerCase())) {
-                return `ISNULL(CONVERT(varchar(23), [${col.COLUMN_NAME}], 121), 'NULL')`;
-            }
-            return `ISNULL(CAST([${col.COLUMN_NAME}] AS NVARCHAR(MAX)), 'NULL')`;
-        })
+        .map(col => `ISNULL(${buildColumnText(col)}, 'NULL')`)
         .join(" + '|' + ");
-    
+        
     if (!columnList) {
         return { checksum: 0, rowCount: 0 };
     }
     
+    const request = pool.request();
+    request.timeout = 300000;
+    const whereClause = range ? applyKeyRange(request, pagingKey, range.afterKey, range.upToKey) : '';
+    
     const query = `
         SELECT 
             COUNT(*) as row_count,
             CHECKSUM_AGG(CHECKSUM(${columnList})) as checksum
-        FROM [${tableName}]
+        FROM ${quoteTableName(tableName)}
+        ${whereClause}
     `;
     
-    const request = pool.request();
-    request.timeout = 300000;
     const result = await request.query(query);
     return {
         checksum: result.recordset[0].checksum || 0,
@@ -105,18 +155,251 @@ async function calculateTableChecksum(pool, tableName, schema) {
     };
 }
 
-async function verifyTableData(sourcePool, targetPool, tableName) {
-    console.log(`🔍 Verifying table: ${tableName}`);
+function buildRowHashExpression(columns) {
+    const parts = columns.map(col => {
+        const column = quoteIdentifier(col.COLUMN_NAME);
+        const bytes = HASH_TEXT_TYPES.includes(col.DATA_TYPE.toLowerCase())
+            ? `CAST(${buildColumnText(col)} AS VARBINARY(MAX))`
+            : `CAST(${column} AS VARBINARY(MAX))`;
+        return `ISNULL(CAST(DATALENGTH(${bytes}) AS BINARY(4)) + ${bytes}, 0xFFFFFFFF)`;
+    });
+    return `HASHBYTES('SHA2_256', ${parts.join(' + ')})`;
+}
+
+async function calculateTableHash(pool, tableName, schema, pagingKey = null, range = null) {
+    const columns = schema.filter(col => !['timestamp', 'rowversion'].includes(col.DATA_TYPE.toLowerCase()));
+    if (columns.length === 0) {
+        return { checksum: 0, rowCount: 0 };
+    }
+    
+    const request = pool.request();
+    request.timeout = 300000;
+    const whereClause = range ? applyKeyRange(request, pagingKey, range.afterKey, range.upToKey) : '';
+    
+    // Row hashes are summed in 7-byte slices: unlike XOR, the sum is order independent without letting duplicate rows cancel out
+    const sums = [1, 8, 15, 22].map((start, i) =>
+        `ISNULL(CONVERT(VARCHAR(40), SUM(CAST(CAST(SUBSTRING(row_hash, ${start}, 7) AS BIGINT) AS DECIMAL(38, 0)))), '0') AS hash_${i}`
+    );
+    
+    const query = `
+        SELECT 
+            COUNT(*) as row_count,
+            ${sums.join(',\n            ')}
+        FROM (
+            SELECT ${buildRowHashExpression(columns)} AS row_hash
+            FROM ${quoteTableName(tableName)}
+            ${whereClause}
+        ) hashed
+    `;
+    
+    const result = await request.query(query);
+    const row = result.recordset[0];
+    return {
+        checksum: [row.hash_0, row.hash_1, row.hash_2, row.hash_3].join('-'),
+        rowCount: row.row_count
+    };
+}
+
+function getChecksumFunction(mode) {
+    const calculate = CHECKSUM_MODES[mode];
+    if (!calculate) {
+        throw new Error(`Unknown checksum mode "${mode}", expected ${Object.keys(CHECKSUM_MODES).join(' or ')}`);
+    }
+    return calculate;
+}
+
+const CHECKSUM_MODES = {
+    checksum: calculateTableChecksum,
+    sha256: calculateTableHash
+};
+
+function splitKeyRange(range, boundaries) {
+    return [...boundaries, range.upToKey].map((upToKey, i) => ({
+        afterKey: i === 0 ? range.afterKey : boundaries[i - 1],
+        upToKey
+    }));
+}
+
+async function locateMismatchedRanges(sourcePool, targetPool, tableName, targetTableName = tableName, options = {}) {
+    const { chunkRows = verifyOptions.chunkRows, sourceRows = null, targetRows = null, checksumMode = verifyOptions.checksumMode } = options;
+    const calculateChecksum = getChecksumFunction(checksumMode);
+    const schema = await getTableSchema(sourcePool, tableName);
+    const pagingKey = await getPagingKey(sourcePool, tableName, schema);
     
+    if (pagingKey.strategy === 'PHYSLOC') {
+        return null;
+    }
+    
+    const ranges = [];
+    const pending = [{ afterKey: null, upToKey: null, sourceRows, targetRows }];
+    let checkedRanges = 0;
+    
+    while (pending.length > 0) {
+        const range = pending.shift();
+        let rows = range.sourceRows;
+        
+        // Counts passed in for the whole table mean it is already known to differ and needs no second checksum
+        if (rows === null) {
+            const source = await calculateChecksum(sourcePool, tableName, schema, pagingKey, range);
+            const target = await calculateChecksum(targetPool, targetTableName, schema, pagingKey, range);
+            checkedRanges++;
+            
+            if (source.checksum === target.checksum && source.rowCount === target.rowCount) {
+                continue;
+            }
+            rows = source.rowCount;
+            range.targetRows = target.rowCount;
+        }
+        
+        const boundaries = rows > chunkRows
+            ? await getKeyRangeBoundaries(sourcePool, tableName, pagingKey, RANGE_SPLIT, rows, range.afterKey, range.upToKey)
+            : [];
+            
+        if (boundaries.length === 0) {
+            ranges.push({ afterKey: range.afterKey, upToKey: range.upToKey, sourceRows: rows, targetRows: range.targetRows });
+        } else {
+            pending.push(...splitKeyRange(range, boundaries).map(subRange => ({ ...subRange, sourceRows: null, targetRows: null })));
+        }
+    }
+    
+    return { key: pagingKey.columns.map(col => col.name), checkedRanges, ranges };
+}
+
+async function fetchDiffBatch(pool, tableName, pagingKey, afterKey, upToKey, context) {
+    const { batchSize, columns, exactColumns } = context;
+    const batch = await executeWithRetry(() =>
+        fetchBatchAfter(pool, tableName, pagingKey, afterKey, batchSize, upToKey, exactColumns.map(col => col.select))
+    );
+    
+    return {
+        records: batch.rows.map(row => encodeArchiveRow(row, columns, exactColumns)),
+        lastKey: batch.lastKey,
+        complete: batch.rows.length < batchSize
+    };
+}
+
+async function diffTableRows(sourcePool, targetPool, tableName, targetTableName = tableName, options = {}) {
+    const { limit = verifyOptions.diffLimit, batchSize = transferOptions.batchSize } = options;
+    const schema = await getTableSchema(sourcePool, tableName);
+    const pagingKey = await getPagingKey(sourcePool, tableName, schema);
+    
+    if (pagingKey.strategy === 'PHYSLOC') {
+        return { supported: false, message: 'Table has no primary key or unique index, rows cannot be matched' };
+    }
+    
+    const columns = getInsertableColumns(schema);
+    const context = { batchSize, columns, exactColumns: getExactColumns(columns) };
+    const diff = { supported: true, key: pagingKey.columns.map(col => col.name), compared: 0, missing: [], extra: [], changed: [], truncated: false };
+    
+    const getKey = record => Object.fromEntries(pagingKey.columns.map(col => [col.name, record[col.name]]));
+    const report = (list, entry) => {
+        if (diff.missing.length + diff.extra.length + diff.changed.length >= limit) {
+            diff.truncated = true;
+            return false;
+        }
+        list.push(entry);
+        return true;
+    };
+    
+    let lastKey = null;
+    
+    while (!diff.truncated) {
+        const source = await fetchDiffBatch(sourcePool, tableName, pagingKey, lastKey, null, context);
+        const upToKey = source.complete ? null : source.lastKey;
+        
+        // Read the target over the same key range as the source batch so rows match by key without reproducing SQL collation order
+        const targetRecords = new Map();
+        let targetAfterKey = lastKey;
+        while (true) {
+            const target = await fetchDiffBatch(targetPool, targetTableName, pagingKey, targetAfterKey, upToKey, context);
+            target.records.forEach(record => targetRecords.set(JSON.stringify(getKey(record)), record));
+            targetAfterKey = target.lastKey;
+            if (target.complete) {
+                break;
+            }
+        }
+        
+        for (const sourceRecord of source.records) {
+            const key = getKey(sourceRecord);
+            const targetRecord = targetRecords.get(JSON.stringify(key));
+            diff.compared++;
+            
+            if (!targetRecord) {
+                if (!report(diff.missing, { key })) {
+                    break;
+                }
+                continue;
+            }
+            targetRecords.delete(JSON.stringify(key));
+            
+            const changedColumns = columns
+                .filter(col => JSON.stringify(sourceRecord[col.COLUMN_NAME]) !== JSON.stringify(targetRecord[col.COLUMN_NAME]))
+                .map(col => ({ column: col.COLUMN_NAME, source: sourceRecord[col.COLUMN_NAME], target: targetRecord[col.COLUMN_NAME] }));
+            if (changedColumns.length > 0 && !report(diff.changed, { key, columns: changedColumns })) {
+                break;
+            }
+        }
+        
+        for (const targetRecord of targetRecords.values()) {
+            if (!report(diff.extra, { key: getKey(targetRecord) })) {
+                break;
+            }
+        }
+        
+        if (!upToKey) {
+            break;
+        }
+        lastKey = source.lastKey;
+    }
+    
+    return diff;
+}
+
+function printMismatchedRanges(located) {
+    const sourceRows = located.ranges.reduce((sum, range) => sum + range.sourceRows, 0);
+    log.info(`      🎯 ${located.ranges.length} mismatched key ranges by ${located.key.join(', ')} (${sourceRows.toLocaleString()} source rows, ${located.checkedRanges} ranges checked)`);
+    located.ranges.slice(0, 10).forEach(range => log.info(`         - ${formatKeyRange(range)}: source ${range.sourceRows.toLocaleString()}, target ${range.targetRows.toLocaleString()} rows`));
+    if (located.ranges.length > 10) {
+        log.info(`         ... and ${located.ranges.length - 10} more`);
+    }
+}
+
+function formatDiffValue(value) {
+    const text = JSON.stringify(value === undefined ? null : value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function printRowDiff(diff) {
+    if (!diff.supported) {
+        log.info(`      🔎 Row diff skipped: ${diff.message}`);
+        return;
+    }
+    
+    log.info(`      🔎 Row diff by ${diff.key.join(', ')}: ${diff.missing.length} missing, ${diff.extra.length} extra, ${diff.changed.length} changed${diff.truncated ? ' (limit reached, more differences not listed)' : ''}`);
+    diff.missing.forEach(entry => log.info(`         - missing in target ${formatDiffValue(entry.key)}`));
+    diff.extra.forEach(entry => log.info(`         + extra in target ${formatDiffValue(entry.key)}`));
+    diff.changed.forEach(entry => {
+        const changes = entry.columns.map(change => `${change.column} ${formatDiffValue(change.source)} → ${formatDiffValue(change.target)}`);
+        log.info(`         ~ changed ${formatDiffValue(entry.key)}: ${changes.join(', ')}`);
+    });
+}
+
+async function verifyTableData(sourcePool, targetPool, tableName, options = {}) {
+    log.info(`🔍 Verifying table: ${tableName}`);
+    
+    const targetTableName = mapTableName(tableName, options.schemaMap);
+    const checksumMode = options.checksumMode || verifyOptions.checksumMode;
+    const startTime = Date.now();
     const issues = [];
     
     try {
-        const structureDiffs = await compareTableStructure(sourcePool, targetPool, tableName);
+        const calculateChecksum = getChecksumFunction(checksumMode);
+        const structureDiffs = await compareTableStructure(sourcePool, targetPool, tableName, targetTableName);
         if (structureDiffs.length > 0) {
             issues.push(...structureDiffs.map(diff => ({ type: 'STRUCTURE', message: diff })));
         }
         
-        const rowCountComparison = await compareTableRowCounts(sourcePool, targetPool, tableName);
+        const rowCountComparison = await compareTableRowCounts(sourcePool, targetPool, tableName, targetTableName);
         if (!rowCountComparison.match) {
             issues.push({
                 type: 'ROW_COUNT',
@@ -127,64 +410,104 @@ async function verifyTableData(sourcePool, targetPool, tableName) {
         if (rowCountComparison.sourceCount > 0 && structureDiffs.length === 0) {
             const sourceSchema = await getTableSchema(sourcePool, tableName);
             
-            const sourceChecksum = await calculateTableChecksum(sourcePool, tableName, sourceSchema);
-            const targetChecksum = await calculateTableChecksum(targetPool, tableName, sourceSchema);
+            const sourceChecksum = await calculateChecksum(sourcePool, tableName, sourceSchema);
+            const targetChecksum = await calculateChecksum(targetPool, targetTableName, sourceSchema);
             
             if (sourceChecksum.checksum !== targetChecksum.checksum) {
                 issues.push({
                     type: 'DATA_CHECKSUM',
-                    message: `Data checksum mismatch: source ${sourceChecksum.checksum}, target ${targetChecksum.checksum}`
+                    message: `Data ${checksumMode === 'sha256' ? 'SHA-256 hash' : 'checksum'} mismatch: source ${sourceChecksum.checksum}, target ${targetChecksum.checksum}`
                 });
             }
         }
         
-        return {
+        const result = {
             table: tableName,
             status: issues.length === 0 ? 'MATCH' : 'MISMATCH',
             rowCount: rowCountComparison.sourceCount,
+            targetRowCount: rowCountComparison.targetCount,
+            structure: structureDiffs,
             issues
         };
         
+        if (options.locateRanges && structureDiffs.length === 0 && issues.length > 0) {
+            try {
+                result.ranges = await locateMismatchedRanges(sourcePool, targetPool, tableName, targetTableName, {
+                    sourceRows: rowCountComparison.sourceCount,
+                    targetRows: rowCountComparison.targetCount,
+                    checksumMode
+                });
+            } catch (error) {
+                log.warn(`   ⚠️  Could not narrow down mismatched key ranges for ${tableName}: ${error.message}`, { table: tableName, error: error.message });
+                result.ranges = null;
+            }
+        }
+        
+        if (options.rowDiff && structureDiffs.length === 0 && issues.length > 0) {
+            try {
+                result.diff = await diffTableRows(sourcePool, targetPool, tableName, targetTableName, { limit: options.diffLimit });
+            } catch (error) {
+                result.diff = { supported: false, message: error.message };
+            }
+        }
+        
+        result.durationMs = Date.now() - startTime;
+        return result;
+        
     } catch (error) {
         return {
             table: tableName,
             status: 'ERROR',
             rowCount: 0,
-            issues: [{ type: 'ERROR', message: error.message }]
+            issues: [{ type: 'ERROR', message: error.message }],
+            durationMs: Date.now() - startTime
         };
     }
 }
 
-async function verifyDatabases() {
+async function verifyDatabases(options = {}) {
+    const {
+        schemaMap = transferOptions.schemaMap,
+        filter = transferOptions.filter,
+        rowDiff = verifyOptions.rowDiff,
+        diffLimit = verifyOptions.diffLimit,
+        locateRanges = verifyOptions.rangeChecksums,
+        checksumMode = verifyOptions.checksumMode
+    } = options;
+    const startTime = Date.now();
     let sourcePool, targetPool;
     
     try {
-        console.log('🔌 Connecting to databases for verification...');
+        getChecksumFunction(checksumMode);
+        validateConfig(sourceConfig, 'source');
+        validateConfig(targetConfig, 'target');
+        
+        log.info('🔌 Connecting to databases for verification...');
         sourcePool = await sql.connect(sourceConfig);
         targetPool = new sql.ConnectionPool(targetConfig);
         await targetPool.connect();
-        console.log('✅ Connected to both databases');
+        log.info('✅ Connected to both databases');
         
-        console.log('📋 Getting table lists...');
-        const sourceTables = await getTableList(sourcePool);
-        const targetTables = await getTableList(targetPool);
+        log.info('📋 Getting table lists...');
+        const sourceTables = filterObjects(await getTableList(sourcePool), filter);
+        const mappedSourceTableSet = new Set(sourceTables.map(table => mapTableName(table, schemaMap)));
+        const targetTables = filterObjects(await getTableList(targetPool), filter, schemaMap);
         
-        const sourceTableSet = new Set(sourceTables);
         const targetTableSet = new Set(targetTables);
         
-        const missingInTarget = sourceTables.filter(table => !targetTableSet.has(table));
-        const extraInTarget = targetTables.filter(table => !sourceTableSet.has(table));
+        const missingInTarget = sourceTables.filter(table => !targetTableSet.has(mapTableName(table, schemaMap)));
+        const extraInTarget = targetTables.filter(table => !mappedSourceTableSet.has(table));
         
         if (missingInTarget.length > 0) {
-            console.log(`❌ Tables missing in target: ${missingInTarget.join(', ')}`);
+            log.info(`❌ Tables missing in target: ${missingInTarget.join(', ')}`);
         }
         
         if (extraInTarget.length > 0) {
-            console.log(`⚠️  Extra tables in target: ${extraInTarget.join(', ')}`);
+            log.warn(`⚠️  Extra tables in target: ${extraInTarget.join(', ')}`);
         }
         
-        const commonTables = sourceTables.filter(table => targetTableSet.has(table));
-        console.log(`🔍 Verifying ${commonTables.length} common tables...`);
+        const commonTables = sourceTables.filter(table => targetTableSet.has(mapTableName(table, schemaMap)));
+        log.info(`🔍 Verifying ${commonTables.length} common tables (${checksumMode} mode)...`);
         
         const results = [];
         let matchCount = 0;
@@ -193,48 +516,54 @@ async function verifyDatabases() {
         
         for (let i = 0; i < commonTables.length; i++) {
             const table = commonTables[i];
-            console.log(`[${i + 1}/${commonTables.length}] ${table}`);
+            log.info(`[${i + 1}/${commonTables.length}] ${table}`);
             
-            const result = await verifyTableData(sourcePool, targetPool, table);
+            const result = await verifyTableData(sourcePool, targetPool, table, { schemaMap, rowDiff, diffLimit, locateRanges, checksumMode });
             results.push(result);
             
             if (result.status === 'MATCH') {
                 matchCount++;
-                console.log(`   ✅ MATCH (${result.rowCount.toLocaleString()} rows)`);
+                log.info(`   ✅ MATCH (${result.rowCount.toLocaleString()} rows)`, { table, status: result.status, rows: result.rowCount, durationMs: result.durationMs });
             } else if (result.status === 'MISMATCH') {
                 mismatchCount++;
-                console.log(`   ❌ MISMATCH (${result.rowCount.toLocaleString()} rows)`);
+                log.info(`   ❌ MISMATCH (${result.rowCount.toLocaleString()} rows)`, { table, status: result.status, rows: result.rowCount, targetRows: result.targetRowCount, durationMs: result.durationMs });
                 result.issues.forEach(issue => {
-                    console.log(`      - ${issue.type}: ${issue.message}`);
+                    log.info(`      - ${issue.type}: ${issue.message}`);
                 });
+                if (result.ranges) {
+                    printMismatchedRanges(result.ranges);
+                }
+                if (result.diff) {
+                    printRowDiff(result.diff);
+                }
             } else {
                 errorCount++;
-                console.log(`   💥 ERROR`);
+                log.error(`   💥 ERROR`, { table, status: result.status, durationMs: result.durationMs });
                 result.issues.forEach(issue => {
-                    console.log(`      - ${issue.message}`);
+                    log.error(`      - ${issue.message}`, { table, error: issue.message });
                 });
             }
         }
         
-        console.log('\n📊 VERIFICATION SUMMARY');
-        console.log('═'.repeat(50));
-        console.log(`✅ Matching tables: ${matchCount}`);
-        console.log(`❌ Mismatched tables: ${mismatchCount}`);
-        console.log(`💥 Error tables: ${errorCount}`);
-        console.log(`📋 Total verified: ${commonTables.length}`);
+        log.info('\n📊 VERIFICATION SUMMARY');
+        log.info('═'.repeat(50));
+        log.info(`✅ Matching tables: ${matchCount}`);
+        log.info(`❌ Mismatched tables: ${mismatchCount}`);
+        log.info(`💥 Error tables: ${errorCount}`);
+        log.info(`📋 Total verified: ${commonTables.length}`);
         
         if (missingInTarget.length > 0) {
-            console.log(`❌ Missing in target: ${missingInTarget.length}`);
+            log.info(`❌ Missing in target: ${missingInTarget.length}`);
         }
         
         if (extraInTarget.length > 0) {
-            console.log(`⚠️  Extra in target: ${extraInTarget.length}`);
+            log.warn(`⚠️  Extra in target: ${extraInTarget.length}`);
         }
         
         const overallSuccess = mismatchCount === 0 && errorCount === 0 && missingInTarget.length === 0;
-        console.log(`\n${overallSuccess ? '🎉 VERIFICATION PASSED' : '❌ VERIFICATION FAILED'}`);
+        log.info(`\n${overallSuccess ? '🎉 VERIFICATION PASSED' : '❌ VERIFICATION FAILED'}`);
         
-        return {
+        const verification = {
             success: overallSuccess,
             summary: {
                 matching: matchCount,
@@ -243,20 +572,27 @@ async function verifyDatabases() {
                 missingInTarget: missingInTarget.length,
                 extraInTarget: extraInTarget.length
             },
+            missingInTarget,
+            extraInTarget,
+            checksumMode,
+            durationMs: Date.now() - startTime,
             results
         };
+        verification.reports = writeReports('verify', verification);
+        
+        return verification;
         
     } catch (error) {
-        console.error('💥 Verification failed:', error.message);
+        log.error(`💥 Verification failed: ${error.message}`, { error: error.message });
         throw error;
     } finally {
         if (sourcePool) {
             await sourcePool.close();
-            console.log('🔌 Source database connection closed');
+            log.info('🔌 Source database connection closed');
         }
         if (targetPool) {
             await targetPool.close();
-            console.log('🔌 Target database connection closed');
+            log.info('🔌 Target database connection closed');
         }
     }
 }
@@ -267,7 +603,7 @@ if (require.main === module) {
             process.exit(result.success ? 0 : 1);
         })
         .catch(error => {
-            console.error('Verification failed:', error.message);
+            log.error(`Verification failed: ${error.message}`, { error: error.message });
             process.exit(1);
         });
 }
@@ -275,7 +611,11 @@ if (require.main === module) {
 module.exports = {
     verifyDatabases,
     verifyTableData,
+    diffTableRows,
+    locateMismatchedRanges,
+    diffTableStructure,
     compareTableStructure,
     compareTableRowCounts,
-    calculateTableChecksum
+    calculateTableChecksum,
+    calculateTableHash
 };
\ No newline at end of file